@@ -8,7 +8,8 @@ function registerSettings() {
         scope: 'world',
         config: true,
         type: String,
-        default: ''
+        default: '',
+        onChange: () => NextcloudFilePicker.apiModes.clear()
     });
     game.settings.register('nextcloud-filepicker', 'userName', {
         name: 'Nextcloud Account User Name',
@@ -20,11 +21,105 @@ function registerSettings() {
     game.settings.register('nextcloud-filepicker', 'appPassword', {
         name: 'Nextcloud Account App Password',
         scope: 'world',
-        hint: 'Do not use your user password.  Creating an app password: Nextcloud Server Website -> Profile Picture -> Personal Settings -> Security -> Devices & Sessions -> "App name" -> Create new password',
+        hint: 'Do not use your user password.  Use "Connect to Nextcloud" below to create an app password automatically, or create one manually: Nextcloud Server Website -> Profile Picture -> Personal Settings -> Security -> Devices & Sessions -> "App name" -> Create new password',
+        config: true,
+        type: String,
+        default: ''
+    });
+    game.settings.registerMenu('nextcloud-filepicker', 'connect', {
+        name: 'Nextcloud Account',
+        label: 'Connect to Nextcloud',
+        hint: 'Log in to Nextcloud to fill in the server URL, user name and app password automatically, or revoke the app password.',
+        icon: 'fas fa-plug',
+        type: NextcloudConnect,
+        restricted: true
+    });
+    game.settings.registerMenu('nextcloud-filepicker', 'diagnostics', {
+        name: 'Connection Diagnostics',
+        label: 'Test Connection',
+        hint: 'Check step by step whether Foundry VTT can reach, log in to and use your Nextcloud server, with a fix for each problem found.',
+        icon: 'fas fa-stethoscope',
+        type: NextcloudDiagnostics,
+        restricted: true
+    });
+    game.settings.register('nextcloud-filepicker', 'secureMode', {
+        name: 'Keep App Password on GM Clients',
+        hint: 'If enabled, the app password is only stored in the browsers of GMs and the world setting above is cleared.  Players browse Nextcloud through a connected GM and cannot upload.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: value => {
+            if (!value || !game.user.isGM) return;
+            if (getSetting('appPassword')) {
+                if (!getSetting('secureAppPassword')) setSetting('secureAppPassword', getSetting('appPassword'));
+                setSetting('appPassword', '');
+            }
+            const connections = getSetting('connections');
+            if (connections.some(connection => connection.appPassword)) {
+                const passwords = getSetting('secureConnectionPasswords');
+                for (const connection of connections) {
+                    if (connection.appPassword && !passwords[connection.id]) passwords[connection.id] = connection.appPassword;
+                }
+                setSetting('secureConnectionPasswords', passwords);
+                setSetting('connections', connections.map(connection => ({ ...connection, appPassword: '' })));
+            }
+        }
+    });
+    game.settings.register('nextcloud-filepicker', 'secureAppPassword', {
+        name: 'Nextcloud Account App Password (This Browser)',
+        hint: 'Only used by GMs when "Keep App Password on GM Clients" is enabled.  Stored in this browser only.',
+        scope: 'client',
         config: true,
         type: String,
         default: ''
     });
+    game.settings.registerMenu('nextcloud-filepicker', 'connections', {
+        name: 'Additional Nextcloud Connections',
+        label: 'Configure Connections',
+        hint: 'Add other Nextcloud servers or accounts, each shown as a separate source of the file picker.',
+        icon: 'fas fa-server',
+        type: NextcloudConnectionsConfig,
+        restricted: true
+    });
+    game.settings.register('nextcloud-filepicker', 'connections', {
+        name: 'Additional Nextcloud Connections',
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: [],
+        requiresReload: true
+    });
+    game.settings.register('nextcloud-filepicker', 'secureConnectionPasswords', {
+        name: 'Additional Nextcloud Connection App Passwords (This Browser)',
+        scope: 'client',
+        config: false,
+        type: Object,
+        default: {}
+    });
+    game.settings.register('nextcloud-filepicker', 'proxyUrl', {
+        name: 'Same-Origin Proxy URL',
+        hint: 'Optional.  The URL of a reverse proxy forwarding requests to your Nextcloud server, such as /nextcloud on your Foundry VTT server.  Requests are then sent to the proxy, which avoids CORS configuration.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: '',
+        onChange: () => NextcloudFilePicker.apiModes.clear()
+    });
+    game.settings.register('nextcloud-filepicker', 'apiMode', {
+        name: 'Sharing and Preview Endpoints',
+        hint: 'The endpoints used to create public links and fetch thumbnails.  The WebAppPassword app is needed unless CORS is allowed by your web server or a same-origin proxy is used.',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            auto: 'Detect Automatically',
+            webapppassword: 'WebAppPassword App',
+            stock: 'Standard Nextcloud Endpoints'
+        },
+        default: 'auto',
+        onChange: () => NextcloudFilePicker.apiModes.clear()
+    });
     game.settings.register('nextcloud-filepicker', 'subdirectory', {
         name: 'Nextcloud Subdirectory',
         scope: 'world',
@@ -33,6 +128,33 @@ function registerSettings() {
         type: String,
         default: ''
     });
+    game.settings.register('nextcloud-filepicker', 'personalUserName', {
+        name: 'Personal Nextcloud User Name',
+        hint: 'Optional.  Your own Nextcloud account on the same server, used instead of the world account so your uploads stay in your own storage.',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: '',
+        onChange: () => NextcloudFilePicker.directoryCache.clear()
+    });
+    game.settings.register('nextcloud-filepicker', 'personalAppPassword', {
+        name: 'Personal Nextcloud App Password',
+        hint: 'Optional.  An app password of your own Nextcloud account.  Stored in this browser only.',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: '',
+        onChange: () => NextcloudFilePicker.directoryCache.clear()
+    });
+    game.settings.register('nextcloud-filepicker', 'personalSubdirectory', {
+        name: 'Personal Nextcloud Subdirectory',
+        hint: 'Optional.  Only show this subdirectory of your own Nextcloud storage.',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: '',
+        onChange: () => NextcloudFilePicker.directoryCache.clear()
+    });
     game.settings.register('nextcloud-filepicker', 'skipPublicLinkConfirmation', {
         name: 'Skip Public Link Confirmation',
         hint: 'If enabled, the public link creation confirmation dialog will be skipped.',
@@ -41,194 +163,1071 @@ function registerSettings() {
         type: Boolean,
         default: false
     });
+    game.settings.registerMenu('nextcloud-filepicker', 'shareManager', {
+        name: 'Public Links',
+        label: 'Manage Public Links',
+        hint: 'List, expire and revoke the public links created for Foundry VTT in your Nextcloud storage.',
+        icon: 'fas fa-link',
+        type: NextcloudShareManager,
+        restricted: true
+    });
+    game.settings.registerMenu('nextcloud-filepicker', 'linkAudit', {
+        name: 'Link Audit',
+        label: 'Audit World Links',
+        hint: 'Find Nextcloud links of the world and its compendia that no longer work, and share their files again.',
+        icon: 'fas fa-stethoscope',
+        type: NextcloudLinkAudit,
+        restricted: true
+    });
+    game.settings.registerMenu('nextcloud-filepicker', 'migration', {
+        name: 'Migrate Data Assets',
+        label: 'Migrate to Nextcloud',
+        hint: 'Upload the images and sounds of folders of the Foundry VTT data storage to Nextcloud and update the documents using them.',
+        icon: 'fas fa-truck-arrow-right',
+        type: NextcloudMigration,
+        restricted: true
+    });
+    game.settings.registerMenu('nextcloud-filepicker', 'localization', {
+        name: 'Offline Copies',
+        label: 'Localize Nextcloud Files',
+        hint: 'Download the Nextcloud files used by the world into the Foundry VTT data storage, so that the game keeps working while Nextcloud is unavailable.',
+        icon: 'fas fa-plane-slash',
+        type: NextcloudLocalization,
+        restricted: true
+    });
+    game.settings.register('nextcloud-filepicker', 'localizeFolder', {
+        name: 'Offline Copies Folder',
+        hint: 'The folder of the Foundry VTT data storage in which local copies of Nextcloud files are stored.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: 'nextcloud-filepicker'
+    });
+    game.settings.register('nextcloud-filepicker', 'localizedFiles', {
+        name: 'Localized Files',
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+    });
+    game.settings.register('nextcloud-filepicker', 'migrationLog', {
+        name: 'Migration Log',
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: []
+    });
+    game.settings.register('nextcloud-filepicker', 'shareExpirationDays', {
+        name: 'Public Link Expiration (Days)',
+        hint: 'Number of days after which newly created public links expire.  Use 0 for links that never expire.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 0
+    });
+    game.settings.register('nextcloud-filepicker', 'shareExpirationDate', {
+        name: 'Public Link Expiration Date',
+        hint: 'Optional.  A fixed expiration date (YYYY-MM-DD) for newly created public links, such as the end of your campaign.  Takes precedence over the number of days.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: ''
+    });
+    game.settings.register('nextcloud-filepicker', 'shareLabel', {
+        name: 'Public Link Label',
+        hint: 'The label of newly created public links, shown in the sharing panel of Nextcloud.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: 'Foundry VTT'
+    });
+    game.settings.register('nextcloud-filepicker', 'shareNote', {
+        name: 'Public Link Note',
+        hint: 'Optional.  A note attached to newly created public links.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: ''
+    });
+    game.settings.register('nextcloud-filepicker', 'sharePassword', {
+        name: 'Public Link Password',
+        hint: 'Optional.  Protects the public links created in this browser, and those created for players through it, with a password.  Stored in this browser only.  Foundry VTT cannot display password protected files, only use this for links opened in a browser.',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: ''
+    });
+    game.settings.register('nextcloud-filepicker', 'shareHideDownload', {
+        name: 'Hide Public Link Downloads',
+        hint: 'If enabled, newly created public links hide their download button.  Some Nextcloud versions also refuse direct downloads of such links.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+    game.settings.register('nextcloud-filepicker', 'folderShareMode', {
+        name: 'Share Folders Instead of Files',
+        hint: 'If enabled, a single public link is created for the subdirectory (or the asset folders below) and reused for every file inside it, instead of one public link per file.  Existing public links keep working.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+    game.settings.register('nextcloud-filepicker', 'folderShareFolders', {
+        name: 'Shared Asset Folders',
+        hint: 'Optional.  A comma-separated list of folders, relative to the subdirectory, that are shared as a whole.  Leave empty to share the whole subdirectory.  Files outside these folders still get their own public link.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: ''
+    });
+    game.settings.register('nextcloud-filepicker', 'folderShares', {
+        name: 'Folder Public Links',
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+    });
+    game.settings.register('nextcloud-filepicker', 'optimizeImages', {
+        name: 'Optimize Images Before Upload',
+        hint: 'If enabled, uploading images opens a preview offering to scale them down and convert them to WebP, so that they load faster for everyone at the table.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+    game.settings.register('nextcloud-filepicker', 'optimizeTokenSize', {
+        name: 'Maximum Token Image Size (Pixels)',
+        hint: 'The maximum width or height of optimized token images.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 512
+    });
+    game.settings.register('nextcloud-filepicker', 'optimizeTileSize', {
+        name: 'Maximum Tile Image Size (Pixels)',
+        hint: 'The maximum width or height of optimized tile images.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 2048
+    });
+    game.settings.register('nextcloud-filepicker', 'optimizeMapSize', {
+        name: 'Maximum Map Image Size (Pixels)',
+        hint: 'The maximum width or height of optimized map and background images.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 4096
+    });
+    game.settings.register('nextcloud-filepicker', 'optimizeWebp', {
+        name: 'Convert Optimized Images to WebP',
+        hint: 'WebP images are usually much smaller than PNG or JPEG images of the same quality.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+    game.settings.register('nextcloud-filepicker', 'optimizeQuality', {
+        name: 'WebP Quality',
+        hint: 'The quality of images converted to WebP, from 10 (smallest) to 100 (best).',
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 10, max: 100, step: 5 },
+        default: 85
+    });
+    game.settings.register('nextcloud-filepicker', 'optimizeKeepOriginal', {
+        name: 'Keep Original Images',
+        hint: 'If enabled, the original image is uploaded next to the optimized one by default.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+    game.settings.register('nextcloud-filepicker', 'optimizeAssetType', {
+        name: 'Last Optimized Asset Type',
+        scope: 'client',
+        config: false,
+        type: String,
+        default: 'token'
+    });
+    game.settings.register('nextcloud-filepicker', 'thumbnailCacheSize', {
+        name: 'Thumbnail Cache Size (MB)',
+        hint: 'The maximum size of the thumbnails stored in this browser.  The least recently used thumbnails are removed first.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        default: 50
+    });
+    game.settings.registerMenu('nextcloud-filepicker', 'clearThumbnailCache', {
+        name: 'Thumbnail Cache',
+        label: 'Clear Thumbnail Cache',
+        hint: 'Remove every stored Nextcloud thumbnail from this browser.',
+        icon: 'fas fa-broom',
+        type: NextcloudThumbnailCacheClear,
+        restricted: false
+    });
     game.settings.register("nextcloud-filepicker", "nextcloudFilePaths", {
         name: "Nextcloud Filepaths",
-        hint: "This setting is only for the purpose of preserving filepaths for navigation convenience",
+        hint: "Replaced by the link registry.  Entries left from earlier versions are moved to the link registry when a GM connects.",
         scope: "world", 
         config: false,
         type: Object,
         default: {}
     });
+    game.settings.registerMenu('nextcloud-filepicker', 'linkRegistry', {
+        name: 'Link Registry',
+        label: 'Manage Link Registry',
+        hint: 'The Nextcloud file of each public link selected through the file picker.  Remove the links no longer used, or export and import the registry.',
+        icon: 'fas fa-address-book',
+        type: NextcloudLinkRegistryConfig,
+        restricted: true
+    });
+    for (let shard = 0; shard < NextcloudLinkRegistry.SHARDS; shard++) {
+        game.settings.register('nextcloud-filepicker', `linkRegistry${shard}`, {
+            name: `Link Registry (Part ${shard + 1})`,
+            scope: 'world',
+            config: false,
+            type: Object,
+            default: {},
+            onChange: () => NextcloudLinkRegistry.reset()
+        });
+    }
 }
 /**
- * Extends the FilePicker to integrate with Nextcloud, allowing file browsing and operations within Nextcloud storage.
+ * An error returned by a Nextcloud request.  Subclasses describe the kind of failure,
+ * so that callers can tell apart errors worth retrying and show the user what to do about them.
  */
-class NextcloudFilePicker extends FilePicker {
-    static thumbnailCache = {};
+class NextcloudError extends Error {
+    static type = 'unknown';
+    static description = 'An unexpected error occurred while communicating with Nextcloud.';
+    static IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PROPFIND', 'SEARCH', 'PUT'];
     /**
-     * Constructs an instance of NextcloudFilePicker with specified options.
-     * Initializes the file sources for Nextcloud and sets the active source if the URL matches Nextcloud.
-     * @param {Object} options - Configuration options for the FilePicker.
+     * @param {string} message - The technical error message.
+     * @param {Object} [options={}] - The HTTP status (status), the delay in milliseconds requested by the server before retrying (retryAfter) and the original error (cause).
      */
-    constructor(options = {}) {
-        super(options);
-        this.sources.nextcloud = {
-            target: "",
-            label: "Nextcloud Data",
-            icon: "fas fa-cloud"
-        }
-        if(this.isNextcloudUrl(this.request)) {
-            const source="nextcloud"
-            let nextcloudFilePaths = getSetting("nextcloudFilePaths");
-            const target = nextcloudFilePaths[this.request] || "";
-            this.activeSource = source;
-            this.sources[source].target = target;
-        }
+    constructor(message, { status = null, retryAfter = null, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.status = status;
+        this.retryAfter = retryAfter;
     }
     /**
-     * Defines the default options for the Nextcloud File Picker.
-     * @returns {Object} The default configuration options for the file picker.
+     * The kind of failure, such as 'auth' or 'quota'.
+     * @type {string}
      */
-    static get defaultOptions() {
-        const baseOptions = super.defaultOptions;
-        return mergeObject(baseOptions, {
-            tabs: [{navSelector: ".tabs", contentSelector: ".content", initial: "nextcloud"}]
-        });
+    get type() {
+        return this.constructor.type;
     }
     /**
-     * Clears the existing content in the FilePicker UI. 
-     * This is used to refresh the UI and remove any previously displayed files/directories.
+     * A sentence explaining the failure to the user.
+     * @type {string}
      */
-    clearFilePickerContent() {
-        const content = this.element.find('.filepicker-body');
-        content.empty();
+    get description() {
+        return this.constructor.description;
     }
     /**
-     * Handles errors encountered during operations with Nextcloud.
-     * It determines the type of error and renders the appropriate UI to inform the user.
-     * @param {Error} error - The error object thrown during Nextcloud operations.
+     * Checks whether a failed request may succeed when sent again.
+     * @param {string} method - The HTTP method of the request.
+     * @returns {boolean} True if the request should be retried.
      */
-    handleNextcloudError(error) {
-        console.error('Error fetching Nextcloud files:', error);
-        if (!getSetting('url')) {
-            this._renderNextcloudErrorUI('urlNotSet');
-        } else if (!getSetting('userName') || !getSetting('appPassword')) {
-            this._renderNextcloudErrorUI('credentialsNotSet');
-        } else if (this._isCorsError(error)) {
-            this._renderNextcloudErrorUI('corsError');
-        } else {
-            this._renderNextcloudErrorUI('connectionError');
-        }
+    isRetryable(method) {
+        return false;
     }
     /**
-     * Fetches files from the specified path in Nextcloud using WebDAV API.
-     * @param {string} path - The path within the Nextcloud instance to fetch files from.
-     * @returns {Promise<Object>} A promise that resolves to the data of the fetched files.
+     * Creates the error matching a failed response.
+     * @param {Response} response - The failed response.
+     * @returns {NextcloudError} The error.
      */
-    async _fetchNextcloudFiles(path) {
-        const endpoint = `remote.php/dav/files/${getSetting('userName')}/${getSetting('subdirectory')}/${path}`;
-        this.showSpinner();
-        const xmlResponse = await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'PROPFIND', null, {}, {});
-        this.hideSpinner();
-        const data = this._parseWebDavResponse(xmlResponse);
-        data.path = path;
-        return data;
+    static fromResponse(response) {
+        const seconds = Number(response.headers.get('Retry-After'));
+        const retryAfter = Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+        return NextcloudError.fromStatus(response.status, response.statusText, retryAfter);
     }
     /**
-     * Fetches the unique file ID for a given file name in Nextcloud.
-     * @param {string} fileName - The name of the file to find the ID for.
-     * @returns {Promise<string|null>} A promise resolving to the file ID, or null if not found.
+     * Creates the error matching an HTTP status.
+     * @param {number} status - The HTTP status.
+     * @param {string} [statusText=''] - The HTTP status text.
+     * @param {number|null} [retryAfter=null] - The delay in milliseconds requested by the server before retrying.
+     * @returns {NextcloudError} The error.
      */
-    async fetchFileId(fileName) {
-        const searchXml = `<?xml version="1.0"?>
-        <d:searchrequest xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
-            <d:basicsearch>
-                <d:select>
-                    <d:prop>
-                        <oc:fileid/>
-                    </d:prop>
-                </d:select>
-                <d:from>
-                    <d:scope>
-                        <d:href>/files/${getSetting('userName')}</d:href>
-                        <d:depth>infinity</d:depth>
-                    </d:scope>
-                </d:from>
-                <d:where>
-                    <d:like>
-                        <d:prop>
-                            <d:displayname/>
-                        </d:prop>
-                        <d:literal>%${fileName}%</d:literal>
-                    </d:like>
-                </d:where>
-            </d:basicsearch>
-        </d:searchrequest>`;
-        const endpoint = `remote.php/dav/`;
-        try {
-            this.showSpinner();
-            const xmlResponse = await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'SEARCH', searchXml, { 'Content-Type': 'text/xml' });
-            this.hideSpinner();
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(xmlResponse, "application/xml");
-            const fileidElements = xmlDoc.querySelectorAll("oc\\:fileid, fileid");
-            let fileId = null;
-            if (fileidElements.length > 0) {
-                fileId = fileidElements[0].textContent;
-            }
-            return fileId;
-        } catch (error) {
-            console.error('Error fetching file ID:', error);
-            throw error;
-        }
+    static fromStatus(status, statusText = '', retryAfter = null) {
+        const message = `Network response was not ok (${status}): ${statusText}`;
+        let ErrorClass = NextcloudError;
+        if (status === 401 || status === 403) ErrorClass = NextcloudAuthError;
+        else if (status === 404) ErrorClass = NextcloudNotFoundError;
+        else if (status === 423) ErrorClass = NextcloudLockedError;
+        else if (status === 429) ErrorClass = NextcloudRateLimitError;
+        else if (status === 507) ErrorClass = NextcloudQuotaError;
+        else if (status >= 500) ErrorClass = NextcloudServerError;
+        return new ErrorClass(message, { status, retryAfter });
     }
     /**
-     * Fetches an image from Nextcloud and converts it to a Base64 encoded string.
-     * @param {string} fileName - The name of the image file to fetch.
-     * @param {number} s - Size parameter for the image to fetch.
-     * @returns {Promise<string>} A promise that resolves to the Base64 encoded image data.
+     * Recreates an error from its type, for example after it has been relayed through the module socket.
+     * @param {string} type - The kind of failure.
+     * @param {string} message - The technical error message.
+     * @param {number|null} [status=null] - The HTTP status.
+     * @returns {NextcloudError} The error.
      */
-    async fetchImageAsBase64(fileName, s) {
-        try {
-            const fileId = await this.fetchFileId(fileName);
-            const previewEndpoint = `index.php/apps/webapppassword/core/preview?fileId=${fileId}&x=${s}&y=${s}`;
-            const imageBlob = await NextcloudFilePicker.makeNextcloudApiRequest(previewEndpoint, 'GET', null, {}, { responseType: 'blob' });
-            return convertBlobToBase64(imageBlob);
-        } catch (error) {
-            console.error('Error fetching image as Base64:', error);
-            throw error;
+    static fromType(type, message, status = null) {
+        const ErrorClass = [NextcloudAuthError, NextcloudNotFoundError, NextcloudLockedError, NextcloudQuotaError, NextcloudRateLimitError,
+            NextcloudServerError, NextcloudTimeoutError, NextcloudNetworkError].find(errorClass => errorClass.type === type) ?? NextcloudError;
+        return new ErrorClass(message, { status });
+    }
+}
+/**
+ * The user name or app password was rejected, or the account lacks the permission for the request.
+ */
+class NextcloudAuthError extends NextcloudError {
+    static type = 'auth';
+    static description = 'Nextcloud rejected the user name or app password.';
+}
+/**
+ * The requested file or directory does not exist.
+ */
+class NextcloudNotFoundError extends NextcloudError {
+    static type = 'notFound';
+    static description = 'The file or directory no longer exists in Nextcloud.';
+}
+/**
+ * The file or directory is locked by another user or app.
+ */
+class NextcloudLockedError extends NextcloudError {
+    static type = 'locked';
+    static description = 'The file or directory is locked by another user or app.';
+}
+/**
+ * The storage quota of the account is exhausted.
+ */
+class NextcloudQuotaError extends NextcloudError {
+    static type = 'quota';
+    static description = 'The Nextcloud storage is full.';
+}
+/**
+ * The server refused the request because too many requests were sent.
+ */
+class NextcloudRateLimitError extends NextcloudError {
+    static type = 'rateLimited';
+    static description = 'Nextcloud received too many requests.  Please wait a moment.';
+    /** @override */
+    isRetryable(method) {
+        return true;
+    }
+}
+/**
+ * The server failed to handle the request.  Temporary failures are retried.
+ */
+class NextcloudServerError extends NextcloudError {
+    static type = 'server';
+    static description = 'The Nextcloud server failed to handle the request.';
+    /** @override */
+    isRetryable(method) {
+        return this.status === 503 || (NextcloudError.IDEMPOTENT_METHODS.includes(method) && [502, 504].includes(this.status));
+    }
+}
+/**
+ * The server did not respond in time.
+ */
+class NextcloudTimeoutError extends NextcloudError {
+    static type = 'timeout';
+    static description = 'Nextcloud did not respond in time.';
+    /** @override */
+    isRetryable(method) {
+        return NextcloudError.IDEMPOTENT_METHODS.includes(method);
+    }
+}
+/**
+ * The request did not reach the server or its response was blocked by the browser, usually because of the CORS configuration.
+ */
+class NextcloudNetworkError extends NextcloudError {
+    static type = 'network';
+    static description = 'Nextcloud could not be reached.  The server may be offline or its CORS configuration incomplete.';
+    /** @override */
+    isRetryable(method) {
+        return NextcloudError.IDEMPOTENT_METHODS.includes(method);
+    }
+}
+/**
+ * A queue uploading files to Nextcloud one after another, keeping track of the progress of each upload.
+ * Open Nextcloud file pickers are notified of every change so they can display the queue.
+ */
+class NextcloudUploadQueue {
+    constructor() {
+        this.items = [];
+        this.processing = false;
+    }
+    /**
+     * Adds files to the queue and starts uploading them.
+     * @param {Object[]} entries - The files to upload, each with the Nextcloud source (source), the file (file), its destination directory (path) and whether it may replace an existing file (overwrite).
+     */
+    add(entries) {
+        for (const { source, file, path, overwrite = false } of entries) {
+            this.items.push({ id: foundry.utils.randomID(), source, file, path, overwrite, name: file.name, loaded: 0, status: "queued", error: null, controller: null });
         }
+        this._notify();
+        this._process();
     }
     /**
-     * Renders the UI to display Nextcloud error messages based on the type of error encountered.
-     * @param {string} errorType - The type of error to render the UI for (e.g., 'urlNotSet', 'corsError').
-     */
-    async _renderNextcloudErrorUI(errorType) {
-        let errorMessage = "";
-        let isCorsError = false;
-        let isUrlNotSet = false;
-        let isCredentialsNotSet = false;
-        let isOtherError = false;
-        switch (errorType) {
-            case 'urlNotSet':
-                isUrlNotSet = true;
-                break;
-            case 'credentialsNotSet':
-                isCredentialsNotSet = true;
-                break;
-            case 'corsError':
-                isCorsError = true;
-                break;
-            case 'connectionError':
-                isOtherError = true;
-                break;
-        }
-        const templateData = { isCorsError, isUrlNotSet, isCredentialsNotSet, isOtherError };
-        const renderedHtml = await renderTemplate('modules/nextcloud-filepicker/templates/nextcloud-error.html', templateData);
-        const content = this.element.find('.filepicker-body');
-        this.element.find('nav.tabs[aria-role="Form Tab Navigation"]').nextAll().remove();
-        this.element.find('section.filepicker-body').nextAll().remove();
-        content.html(renderedHtml);
+     * Cancels a queued or running upload.
+     * @param {string} id - The ID of the queue item.
+     */
+    cancel(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item || !["queued", "uploading"].includes(item.status)) return;
+        item.status = "cancelled";
+        if (item.controller) item.controller.abort();
+        this._notify();
     }
     /**
-     * Checks whether file upload is allowed to Nextcloud based on current settings and user permissions.
-     * @returns {boolean} True if upload is allowed, false otherwise.
+     * Queues a failed or cancelled upload again.
+     * @param {string} id - The ID of the queue item.
      */
-    get canUpload() {
-        if ( this.activeSource === 'nextcloud' ) {
-            if ( this.type === "folder" ) return false;
-            if ( this.options.allowUpload === false ) return false;
-            return !game.user || game.user.can("FILES_UPLOAD");
+    retry(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item || !["failed", "cancelled"].includes(item.status)) return;
+        Object.assign(item, { status: "queued", loaded: 0, error: null });
+        this._notify();
+        this._process();
+    }
+    /**
+     * Removes the finished and cancelled uploads from the queue.
+     */
+    clear() {
+        this.items = this.items.filter(item => !["done", "cancelled"].includes(item.status));
+        this._notify();
+    }
+    /**
+     * Uploads the queued files one after another until the queue is empty.
+     * @private
+     */
+    async _process() {
+        if (this.processing) return;
+        this.processing = true;
+        let item;
+        while ((item = this.items.find(i => i.status === "queued"))) {
+            item.status = "uploading";
+            item.controller = new AbortController();
+            this._notify();
+            const onProgress = loaded => {
+                item.loaded = loaded;
+                this._notify();
+            };
+            try {
+                await NextcloudFilePicker.upload(item.source, item.path, item.file, {}, { signal: item.controller.signal, overwrite: item.overwrite, onProgress });
+                item.status = "done";
+                item.loaded = item.file.size;
+            } catch (error) {
+                if (item.status !== "cancelled") {
+                    item.status = "failed";
+                    item.error = describeNextcloudError(error);
+                }
+                if (error instanceof NextcloudQuotaError) {
+                    for (const queued of this.items.filter(i => i.status === "queued" && i.source === item.source)) {
+                        queued.status = "failed";
+                        queued.error = item.error;
+                    }
+                }
+            }
+            item.controller = null;
+        }
+        this.processing = false;
+        this._notify(true);
+    }
+    /**
+     * Notifies the open file pickers that the queue has changed.
+     * @param {boolean} [finished=false] - Whether every queued upload has been processed.
+     * @private
+     */
+    _notify(finished = false) {
+        for (const app of Object.values(ui.windows)) {
+            if (app instanceof NextcloudFilePicker) app.onUploadQueueChange(finished);
+        }
+    }
+}
+/**
+ * A persistent thumbnail store kept in IndexedDB, keyed by Nextcloud file ID and invalidated when the ETag of a file changes.
+ * The store is capped to the size configured in the module settings, evicting the least recently used thumbnails first.
+ * Thumbnails are also kept in memory so already loaded ones can be displayed while rendering.
+ */
+class NextcloudThumbnailCache {
+    static DB_NAME = 'nextcloud-filepicker';
+    static STORE_NAME = 'thumbnails';
+    constructor() {
+        this.memory = new Map();
+        this._db = null;
+        this._totalSize = null;
+    }
+    /**
+     * Retrieves a thumbnail from memory without accessing IndexedDB.
+     * @param {string} fileId - The Nextcloud file ID.
+     * @param {string} etag - The current ETag of the file.
+     * @returns {string|null} The Base64 encoded thumbnail, or null if it is not in memory or outdated.
+     */
+    peek(fileId, etag) {
+        const entry = this.memory.get(fileId);
+        return entry && entry.etag === etag ? entry.data : null;
+    }
+    /**
+     * Retrieves a thumbnail from the cache, discarding it if the file has changed since it was stored.
+     * @param {string} fileId - The Nextcloud file ID.
+     * @param {string} etag - The current ETag of the file.
+     * @returns {Promise<string|null>} A promise that resolves to the Base64 encoded thumbnail, or null if it is missing or outdated.
+     */
+    async get(fileId, etag) {
+        const cached = this.peek(fileId, etag);
+        if (cached) return cached;
+        try {
+            const entry = await this._request('readonly', store => store.get(fileId));
+            if (!entry) return null;
+            if (entry.etag !== etag) {
+                await this.delete(fileId);
+                return null;
+            }
+            entry.lastAccess = Date.now();
+            await this._request('readwrite', store => store.put(entry));
+            this.memory.set(fileId, { etag, data: entry.data });
+            return entry.data;
+        } catch (error) {
+            console.error('Error reading thumbnail cache:', error);
+            return null;
+        }
+    }
+    /**
+     * Stores a thumbnail in the cache, evicting the least recently used thumbnails if the cache grows too large.
+     * The replaced thumbnail is read in the same transaction as it is overwritten and the total size is changed by the difference,
+     * so that parallel writes, even of the same file, keep the total size accurate.
+     * @param {string} fileId - The Nextcloud file ID.
+     * @param {string} etag - The current ETag of the file.
+     * @param {string} data - The Base64 encoded thumbnail.
+     * @returns {Promise<void>} A promise that resolves once the thumbnail has been stored.
+     */
+    async set(fileId, etag, data) {
+        this.memory.set(fileId, { etag, data });
+        try {
+            await this._getTotalSize();
+            let previousSize = 0;
+            await this._request('readwrite', store => {
+                const request = store.get(fileId);
+                request.onsuccess = () => {
+                    previousSize = request.result?.size ?? 0;
+                    store.put({ fileId, etag, data, size: data.length, lastAccess: Date.now() });
+                };
+                return request;
+            });
+            this._totalSize += data.length - previousSize;
+            await this._evict();
+        } catch (error) {
+            console.error('Error writing thumbnail cache:', error);
+        }
+    }
+    /**
+     * Removes a thumbnail from the cache.
+     * @param {string} fileId - The Nextcloud file ID.
+     * @returns {Promise<void>} A promise that resolves once the thumbnail has been removed.
+     */
+    async delete(fileId) {
+        this.memory.delete(fileId);
+        try {
+            let size = 0;
+            await this._request('readwrite', store => {
+                const request = store.get(fileId);
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    size = request.result.size;
+                    store.delete(fileId);
+                };
+                return request;
+            });
+            if (this._totalSize !== null) this._totalSize -= size;
+        } catch (error) {
+            console.error('Error deleting from thumbnail cache:', error);
+        }
+    }
+    /**
+     * Removes every thumbnail from the cache.
+     * @returns {Promise<boolean>} A promise that resolves to whether the stored thumbnails could be removed.
+     */
+    async clear() {
+        this.memory.clear();
+        try {
+            await this._request('readwrite', store => store.clear());
+            this._totalSize = 0;
+            return true;
+        } catch (error) {
+            console.error('Error clearing thumbnail cache:', error);
+            return false;
+        }
+    }
+    /**
+     * Evicts the least recently used thumbnails until the cache fits within its configured size.
+     * @returns {Promise<void>} A promise that resolves once enough thumbnails have been evicted.
+     * @private
+     */
+    async _evict() {
+        const maxSize = getSetting('thumbnailCacheSize') * 1024 * 1024;
+        if (this._totalSize <= maxSize) return;
+        const db = await this._open();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(NextcloudThumbnailCache.STORE_NAME, 'readwrite');
+            const request = transaction.objectStore(NextcloudThumbnailCache.STORE_NAME).index('lastAccess').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || this._totalSize <= maxSize) return;
+                this._totalSize -= cursor.value.size;
+                this.memory.delete(cursor.value.fileId);
+                cursor.delete();
+                cursor.continue();
+            };
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    /**
+     * Computes the total size of the stored thumbnails, once per session.
+     * @returns {Promise<number>} A promise that resolves to the total size in bytes.
+     * @private
+     */
+    async _getTotalSize() {
+        if (this._totalSize === null) {
+            const entries = await this._request('readonly', store => store.getAll());
+            this._totalSize ??= entries.reduce((total, entry) => total + entry.size, 0);
+        }
+        return this._totalSize;
+    }
+    /**
+     * Opens the IndexedDB database of the module, creating the thumbnail store on first use.
+     * @returns {Promise<IDBDatabase>} A promise that resolves to the opened database.
+     * @private
+     */
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(NextcloudThumbnailCache.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(NextcloudThumbnailCache.STORE_NAME, { keyPath: 'fileId' });
+                    store.createIndex('lastAccess', 'lastAccess');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._db;
+    }
+    /**
+     * Runs a single request against the thumbnail store.
+     * @param {string} mode - The transaction mode, "readonly" or "readwrite".
+     * @param {Function} callback - A function receiving the object store and returning an IDBRequest.
+     * @returns {Promise<*>} A promise that resolves to the result of the request once its transaction is complete.
+     * @private
+     */
+    async _request(mode, callback) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(NextcloudThumbnailCache.STORE_NAME, mode);
+            const request = callback(transaction.objectStore(NextcloudThumbnailCache.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+/**
+ * A settings menu entry clearing the thumbnail cache after confirmation instead of opening a window.
+ */
+class NextcloudThumbnailCacheClear extends FormApplication {
+    /**
+     * Asks the user to confirm and clears the thumbnail cache.
+     * @returns {Promise<NextcloudThumbnailCacheClear>} A promise that resolves to this application.
+     */
+    async render() {
+        const proceed = await Dialog.confirm({
+            title: "Clear Thumbnail Cache",
+            content: "<p>Remove every stored Nextcloud thumbnail from this browser? They will be downloaded again when needed.</p>"
+        });
+        if (proceed) {
+            if (await NextcloudFilePicker.thumbnailCache.clear()) ui.notifications.info("The Nextcloud thumbnail cache has been cleared.");
+            else ui.notifications.error("The Nextcloud thumbnail cache could not be cleared, this browser may not allow storing data.");
+        }
+        return this;
+    }
+    /**
+     * Clearing the cache has no form data to save.
+     */
+    async _updateObject() {}
+}
+/**
+ * A queue limiting how many requests run at the same time, such as thumbnail downloads.
+ */
+class NextcloudRequestQueue {
+    /**
+     * @param {number} concurrency - The maximum number of requests running at the same time.
+     */
+    constructor(concurrency) {
+        this.concurrency = concurrency;
+        this.pending = [];
+        this.active = 0;
+    }
+    /**
+     * Schedules a request, running it once fewer than the maximum number of requests are running.
+     * @param {Function} task - A function receiving the signal and returning a promise for the request.
+     * @param {AbortSignal} [signal] - An optional signal; aborted requests which have not started yet are dropped.
+     * @returns {Promise<*>} A promise that resolves to the result of the request.
+     */
+    enqueue(task, signal) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ task, signal, resolve, reject });
+            this._next();
+        });
+    }
+    /**
+     * Starts the next pending requests while there is room for them.
+     * @private
+     */
+    _next() {
+        while (this.active < this.concurrency && this.pending.length) {
+            const job = this.pending.shift();
+            if (job.signal?.aborted) {
+                job.reject(new DOMException('The request was cancelled.', 'AbortError'));
+                continue;
+            }
+            this.active++;
+            job.task(job.signal).then(job.resolve, job.reject).finally(() => {
+                this.active--;
+                this._next();
+            });
+        }
+    }
+}
+/**
+ * Extends the FilePicker to integrate with Nextcloud, allowing file browsing and operations within Nextcloud storage.
+ */
+class NextcloudFilePicker extends FilePicker {
+    static thumbnailCache = new NextcloudThumbnailCache();
+    static CHUNK_SIZE = 10 * 1024 * 1024;
+    static REQUEST_TIMEOUT = 30000;
+    static API_ENDPOINTS = {
+        webapppassword: {
+            shares: 'index.php/apps/webapppassword/api/v1/shares',
+            preview: 'index.php/apps/webapppassword/core/preview'
+        },
+        stock: {
+            shares: 'ocs/v2.php/apps/files_sharing/api/v1/shares',
+            preview: 'index.php/core/preview'
+        }
+    };
+    static apiModes = new Map();
+    static quotas = new Map();
+    static OPTIMIZABLE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/bmp', 'image/avif'];
+    static MAX_RETRIES = 3;
+    static RETRY_DELAY = 500;
+    static MAX_RETRY_DELAY = 30000;
+    static SEARCH_LIMIT = 200;
+    static PROPFIND_BODY = `<?xml version="1.0"?>
+        <d:propfind xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+            <d:prop>
+                <d:resourcetype/>
+                <d:getcontentlength/>
+                <d:getlastmodified/>
+                <d:getcontenttype/>
+                <d:getetag/>
+                <oc:fileid/>
+                <oc:size/>
+            </d:prop>
+        </d:propfind>`;
+    static uploadQueue = new NextcloudUploadQueue();
+    static thumbnailQueue = new NextcloudRequestQueue(4);
+    static directoryCache = new Map();
+    /**
+     * Constructs an instance of NextcloudFilePicker with specified options.
+     * Initializes a file source for each Nextcloud connection and, if the current URL belongs to one of them,
+     * opens the folder of its file as recorded in the link registry.
+     * @param {Object} options - Configuration options for the FilePicker.
+     */
+    constructor(options = {}) {
+        super(options);
+        for (const connection of getConnections()) {
+            this.sources[connection.source] = {
+                target: "",
+                label: connection.label,
+                icon: connection.icon
+            }
+        }
+        const connection = this.request ? getConnectionForUrl(this.request) : null;
+        if(connection) {
+            const source = connection.source;
+            const link = NextcloudLinkRegistry.get(this.request);
+            const target = link ? link.path.split('/').slice(0, -1).join('/') : "";
+            this.activeSource = source;
+            this.sources[source].target = target;
+        }
+    }
+    /**
+     * Defines the default options for the Nextcloud File Picker.
+     * @returns {Object} The default configuration options for the file picker.
+     */
+    static get defaultOptions() {
+        const baseOptions = super.defaultOptions;
+        return mergeObject(baseOptions, {
+            tabs: [{navSelector: ".tabs", contentSelector: ".content", initial: "nextcloud"}]
+        });
+    }
+    /**
+     * Clears the existing content in the FilePicker UI. 
+     * This is used to refresh the UI and remove any previously displayed files/directories.
+     */
+    clearFilePickerContent() {
+        const content = this.element.find('.filepicker-body');
+        content.empty();
+    }
+    /**
+     * Handles errors encountered during operations with Nextcloud.
+     * It determines the type of error and renders the appropriate UI to inform the user.
+     * @param {Error} error - The error object thrown during Nextcloud operations.
+     * @param {string} [target=this.target] - The directory which could not be displayed, browsed again by the retry button.
+     */
+    handleNextcloudError(error, target = this.target) {
+        console.error('Error fetching Nextcloud files:', error);
+        const account = getAccount(this.activeSource);
+        const relayed = isRelayedClient(this.activeSource);
+        if (!account.url) {
+            this._renderNextcloudErrorUI('urlNotSet');
+        } else if (relayed && !NextcloudSocket.activeGM) {
+            this._renderNextcloudErrorUI('noGmOnline');
+        } else if (!relayed && (!account.userName || !account.appPassword)) {
+            this._renderNextcloudErrorUI('credentialsNotSet');
+        } else if (error instanceof NextcloudError) {
+            this._renderNextcloudErrorUI(error.type, error, target);
+        } else if (this._isCorsError(error)) {
+            this._renderNextcloudErrorUI('network', error, target);
+        } else {
+            this._renderNextcloudErrorUI('unknown', error, target);
+        }
+    }
+    /**
+     * Fetches files from the specified path in Nextcloud using WebDAV API, storing the listing in the directory cache.
+     * @param {string} path - The path within the Nextcloud instance to fetch files from.
+     * @param {boolean} [showSpinner=true] - Whether to show the loading spinner during the request.
+     * @returns {Promise<Object>} A promise that resolves to the data of the fetched files.
+     */
+    async _fetchNextcloudFiles(path, showSpinner = true) {
+        const source = this.activeSource;
+        const endpoint = davEndpoint(path, source);
+        if (showSpinner) this.showSpinner();
+        let xmlResponse;
+        try {
+            xmlResponse = await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'PROPFIND', NextcloudFilePicker.PROPFIND_BODY, { 'Content-Type': 'text/xml' }, { source });
+        } finally {
+            if (showSpinner) this.hideSpinner();
+        }
+        const data = this._parseWebDavResponse(xmlResponse);
+        data.path = path;
+        const directory = data.directories.find(dir => this._isSameDirectory(dir.href, path));
+        NextcloudFilePicker.directoryCache.set(NextcloudFilePicker._directoryCacheKey(source, path), { data, etag: directory?.etag ?? null });
+        return data;
+    }
+    /**
+     * Checks whether the href of a directory listing entry refers to the given directory path.
+     * @param {string} href - The href of the listing entry, relative to the configured subdirectory.
+     * @param {string} path - The decoded path of a directory.
+     * @returns {boolean} True if both refer to the same directory.
+     * @private
+     */
+    _isSameDirectory(href, path) {
+        return trimSlashes(decodeURIComponent(href)) === trimSlashes(path);
+    }
+    /**
+     * Fetches the ETag of a Nextcloud directory, which changes whenever its content changes.
+     * @param {string} source - The Nextcloud source of the directory.
+     * @param {string} path - The path of the directory.
+     * @returns {Promise<string|null>} A promise that resolves to the ETag of the directory.
+     */
+    static async fetchDirectoryEtag(source, path) {
+        const body = `<?xml version="1.0"?>
+        <d:propfind xmlns:d="DAV:">
+            <d:prop>
+                <d:getetag/>
+            </d:prop>
+        </d:propfind>`;
+        const xmlResponse = await NextcloudFilePicker.makeNextcloudApiRequest(davEndpoint(path, source), 'PROPFIND', body, { 'Content-Type': 'text/xml', 'Depth': '0' }, { source });
+        const xmlDoc = new DOMParser().parseFromString(xmlResponse, "application/xml");
+        return xmlDoc.querySelector("d\\:getetag, getetag")?.textContent.replace(/"/g, '') || null;
+    }
+    /**
+     * Fetches the storage quota of the account of a Nextcloud source.  The quota is kept until the content of the source changes.
+     * @param {string} source - The Nextcloud source.
+     * @returns {Promise<{used: number|null, available: number|null, total: number|null}>} A promise that resolves to the used, available and total bytes, null when unknown or unlimited.
+     */
+    static async fetchQuota(source) {
+        if (!NextcloudFilePicker.quotas.has(source)) {
+            const request = NextcloudFilePicker._requestQuota(source);
+            NextcloudFilePicker.quotas.set(source, request);
+            request.catch(() => NextcloudFilePicker.quotas.delete(source));
+        }
+        return NextcloudFilePicker.quotas.get(source);
+    }
+    /**
+     * Reads the quota properties of the root directory of an account.
+     * Nextcloud reports a negative available size when the quota is unlimited or not yet computed.
+     * @param {string} source - The Nextcloud source.
+     * @returns {Promise<Object>} A promise that resolves to the used, available and total bytes.
+     * @private
+     */
+    static async _requestQuota(source) {
+        const body = `<?xml version="1.0"?>
+        <d:propfind xmlns:d="DAV:">
+            <d:prop>
+                <d:quota-used-bytes/>
+                <d:quota-available-bytes/>
+            </d:prop>
+        </d:propfind>`;
+        const endpoint = `remote.php/dav/files/${getAccount(source).userName}/`;
+        const xmlResponse = await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'PROPFIND', body, { 'Content-Type': 'text/xml', 'Depth': '0' }, { source });
+        const xmlDoc = new DOMParser().parseFromString(xmlResponse, "application/xml");
+        const read = name => {
+            const value = xmlDoc.querySelector(`d\\:${name}, ${name}`)?.textContent;
+            return value ? Number(value) : NaN;
+        };
+        const used = read('quota-used-bytes');
+        const available = read('quota-available-bytes');
+        return {
+            used: Number.isFinite(used) ? used : null,
+            available: available >= 0 ? available : null,
+            total: Number.isFinite(used) && available >= 0 ? used + available : null
+        };
+    }
+    /**
+     * Builds the directory cache key of a directory.
+     * @param {string} source - The Nextcloud source of the directory.
+     * @param {string} path - The path of the directory.
+     * @returns {string} The cache key.
+     * @private
+     */
+    static _directoryCacheKey(source, path) {
+        return `${source}:${trimSlashes(path)}`;
+    }
+    /**
+     * Removes a path, its parent directory and its subdirectories from the directory cache after a change in Nextcloud,
+     * together with the quota of the source.
+     * @param {string} source - The Nextcloud source of the changed file or directory.
+     * @param {string} path - The path of the changed file or directory.
+     */
+    static invalidateDirectoryCache(source, path) {
+        NextcloudFilePicker.quotas.delete(source);
+        const changedPath = trimSlashes(path);
+        const parentPath = changedPath.split('/').slice(0, -1).join('/');
+        for (const key of NextcloudFilePicker.directoryCache.keys()) {
+            if (!key.startsWith(`${source}:`)) continue;
+            const cachedPath = key.substring(source.length + 1);
+            if (cachedPath === parentPath || cachedPath === changedPath || cachedPath.startsWith(`${changedPath}/`)) {
+                NextcloudFilePicker.directoryCache.delete(key);
+            }
+        }
+    }
+    /**
+     * Determines which endpoints a Nextcloud source uses to create public links and fetch previews: those of the WebAppPassword app,
+     * or the standard Nextcloud endpoints when the app is not installed.  Unless configured in the settings, the mode is detected
+     * once per source by querying the shares route of the app.
+     * @param {string} [source="nextcloud"] - The Nextcloud source.
+     * @returns {Promise<string>} A promise that resolves to 'webapppassword' or 'stock'.
+     */
+    static async getApiMode(source = "nextcloud") {
+        const configured = getSetting('apiMode');
+        if (configured !== 'auto') return configured;
+        if (!NextcloudFilePicker.apiModes.has(source)) {
+            const detection = NextcloudFilePicker._detectApiMode(source);
+            NextcloudFilePicker.apiModes.set(source, detection);
+            detection.catch(() => NextcloudFilePicker.apiModes.delete(source));
+        }
+        return NextcloudFilePicker.apiModes.get(source);
+    }
+    /**
+     * Detects whether the WebAppPassword app answers for a Nextcloud source.
+     * @param {string} source - The Nextcloud source.
+     * @returns {Promise<string>} A promise that resolves to 'webapppassword' or 'stock'.
+     * @throws {NextcloudError} If the detection failed for another reason, such as rejected credentials.
+     * @private
+     */
+    static async _detectApiMode(source) {
+        const endpoint = `${NextcloudFilePicker.API_ENDPOINTS.webapppassword.shares}?shared_with_me=true`;
+        try {
+            const response = await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'GET', null, {}, { source, retries: 0 });
+            if (!String(response).includes('<ocs>')) return 'stock';
+            logMessage('debug', `Using the WebAppPassword app for ${source}`, 'API Mode');
+            return 'webapppassword';
+        } catch (error) {
+            if (!(error instanceof NextcloudNotFoundError || error instanceof NextcloudNetworkError)) throw error;
+            logMessage('debug', `WebAppPassword app not available for ${source}, using the standard endpoints`, 'API Mode');
+            return 'stock';
+        }
+    }
+    /**
+     * Retrieves an API endpoint of a Nextcloud source according to its API mode.
+     * @param {string} source - The Nextcloud source.
+     * @param {string} name - The name of the endpoint: 'shares' or 'preview'.
+     * @returns {Promise<string>} A promise that resolves to the endpoint relative to the Nextcloud base URL.
+     */
+    static async apiEndpoint(source, name) {
+        return NextcloudFilePicker.API_ENDPOINTS[await NextcloudFilePicker.getApiMode(source)][name];
+    }
+    /**
+     * Fetches the preview of an image from Nextcloud and converts it to a Base64 encoded string.
+     * @param {string} fileId - The Nextcloud file ID of the image, as reported by the directory listing.
+     * @param {number} s - Size parameter for the image to fetch.
+     * @param {AbortSignal} [signal] - An optional signal to cancel the request.
+     * @returns {Promise<string>} A promise that resolves to the Base64 encoded image data.
+     */
+    async fetchImageAsBase64(fileId, s, signal) {
+        const preview = await NextcloudFilePicker.apiEndpoint(this.activeSource, 'preview');
+        const previewEndpoint = `${preview}?fileId=${fileId}&x=${s}&y=${s}`;
+        const imageBlob = await NextcloudFilePicker.makeNextcloudApiRequest(previewEndpoint, 'GET', null, {}, { responseType: 'blob', signal, source: this.activeSource });
+        return convertBlobToBase64(imageBlob);
+    }
+    /**
+     * Renders the UI to display Nextcloud error messages based on the type of error encountered.
+     * @param {string} errorType - The type of error to render the UI for: 'urlNotSet', 'credentialsNotSet', 'noGmOnline' or the type of a NextcloudError.
+     * @param {Error} [error=null] - The error, whose details are displayed.
+     * @param {string} [target=this.target] - The directory browsed again by the retry button.
+     */
+    async _renderNextcloudErrorUI(errorType, error = null, target = this.target) {
+        const templateData = {
+            isUrlNotSet: errorType === 'urlNotSet',
+            isCredentialsNotSet: errorType === 'credentialsNotSet',
+            isNoGmOnline: errorType === 'noGmOnline',
+            isAuthError: errorType === 'auth',
+            isNotFound: errorType === 'notFound',
+            isLocked: errorType === 'locked',
+            isQuotaExceeded: errorType === 'quota',
+            isRateLimited: errorType === 'rateLimited',
+            isTimeout: errorType === 'timeout',
+            isServerError: errorType === 'server',
+            isCorsError: errorType === 'network',
+            isOtherError: errorType === 'unknown',
+            isGM: game.user.isGM,
+            isRelayed: isRelayedClient(this.activeSource),
+            status: error?.status,
+            message: error?.message,
+            target: `/${trimSlashes(target)}`,
+            isRoot: !trimSlashes(target),
+            timeout: NextcloudFilePicker.REQUEST_TIMEOUT / 1000
+        };
+        const renderedHtml = await renderTemplate('modules/nextcloud-filepicker/templates/nextcloud-error.html', templateData);
+        const content = this.element.find('.filepicker-body');
+        this.element.find('nav.tabs[aria-role="Form Tab Navigation"]').nextAll().remove();
+        this.element.find('section.filepicker-body').nextAll().remove();
+        content.html(renderedHtml);
+        content.find('[data-action="retry"]').click(() => this.browse(target));
+        content.find('[data-action="root"]').click(() => this.browse(''));
+    }
+    /**
+     * Checks whether file upload is allowed to Nextcloud based on current settings and user permissions.
+     * @returns {boolean} True if upload is allowed, false otherwise.
+     */
+    get canUpload() {
+        if ( isNextcloudSource(this.activeSource) ) {
+            if ( this.type === "folder" ) return false;
+            if ( isRelayedClient(this.activeSource) ) return false;
+            if ( this.options.allowUpload === false ) return false;
+            return !game.user || game.user.can("FILES_UPLOAD");
         } else {
             return super.canUpload;
         }
@@ -253,62 +1252,132 @@ class NextcloudFilePicker extends FilePicker {
     }
     /**
      * Makes an API request to the Nextcloud server.
+     * Requests failing for a temporary reason are retried with an exponential backoff, honouring the Retry-After header of the server.
+     * Conditional requests, such as uploads refusing to replace an existing file, are only retried when the server refused them for their rate:
+     * sent again after reaching the server, they would fail their own condition.
      * @param {NextcloudFilePicker} nextcloudFilePicker - The instance of the NextcloudFilePicker making the request.
      * @param {string} endpoint - The API endpoint relative to the Nextcloud base URL.
      * @param {string} [method='GET'] - The HTTP method to use for the request.
      * @param {Object|null} [data=null] - The data to send with the request.
      * @param {Object} [headers={}] - Additional headers for the request.
-     * @param {Object} [options={}] - Additional options for the request.
+     * @param {Object} [options={}] - Additional options for the request, such as the response type, an AbortSignal, a timeout in milliseconds (timeout), the number of retries (retries), and the Nextcloud source (source) or account (account) to use.
      * @param {boolean} [shouldWait=false] - Whether to show a loading spinner during the request.
      * @returns {Promise} A promise that resolves to the response from the API request.
+     * @throws {NextcloudError} If the request fails, typed according to the kind of failure.
      */
     static async makeNextcloudApiRequest(endpoint, method = 'GET', data = null, headers = {}, options = {}) {
-        const baseUrl = getSetting('url');
-        const userName = getSetting('userName');
-        const appPassword = getSetting('appPassword');
-        const url = `${baseUrl}/${endpoint}`;
+        if (!options.account && isRelayedClient(options.source)) {
+            return NextcloudSocket.request(endpoint, method, data, headers, options);
+        }
+        const maxRetries = options.retries ?? NextcloudFilePicker.MAX_RETRIES;
+        const conditional = 'If-None-Match' in headers || headers['Overwrite'] === 'F';
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await NextcloudFilePicker._sendNextcloudRequest(endpoint, method, data, headers, options);
+            } catch (error) {
+                const delay = error.retryAfter ?? NextcloudFilePicker.RETRY_DELAY * 2 ** attempt;
+                const retry = error instanceof NextcloudError
+                    && (conditional ? error instanceof NextcloudRateLimitError : error.isRetryable(method))
+                    && attempt < maxRetries && delay <= NextcloudFilePicker.MAX_RETRY_DELAY && !options.signal?.aborted;
+                if (!retry) {
+                    if (error.name !== 'AbortError') console.error('Error making API request:', error);
+                    throw error;
+                }
+                logMessage('debug', `Retrying ${method} ${endpoint} in ${delay} ms: ${error.message}`, 'API Request');
+                await NextcloudFilePicker._wait(delay, options.signal);
+            }
+        }
+    }
+    /**
+     * Sends a single request to the Nextcloud server, aborting it when it does not complete within the timeout.
+     * @param {string} endpoint - The API endpoint relative to the Nextcloud base URL.
+     * @param {string} method - The HTTP method to use for the request.
+     * @param {Object|null} data - The data to send with the request.
+     * @param {Object} headers - Additional headers for the request.
+     * @param {Object} options - The options of the request.  The timeout (timeout) defaults to REQUEST_TIMEOUT, except for file uploads which have none; 0 disables it.
+     * @returns {Promise} A promise that resolves to the response from the API request.
+     * @throws {NextcloudError} If the server responds with an error, does not respond in time or cannot be reached.
+     * @private
+     */
+    static async _sendNextcloudRequest(endpoint, method, data, headers, options) {
+        const account = options.account ?? getAccount(options.source);
+        const { userName, appPassword } = account;
+        const url = `${account.apiUrl || account.url}/${endpoint.replace(/^\/+/, '')}`;
         const authHeader = 'Basic ' + btoa(userName + ':' + appPassword);
         const defaultHeaders = {
             'Authorization': authHeader,
             'OCS-APIRequest': true
         };
         const combinedHeaders = { ...defaultHeaders, ...headers };
+        const controller = new AbortController();
         const requestOptions = {
             method: method,
             headers: combinedHeaders,
-            credentials: 'omit'
+            credentials: 'omit',
+            signal: controller.signal
         };
-        if (method === 'PUT') {
-            requestOptions.body = data;
-        }
-        if (method === 'SEARCH') {
+        if (method === 'PUT' || method === 'SEARCH' || method === 'PROPFIND') {
             requestOptions.body = data;
         }
-        if (method === 'POST' && data !== null) {
+        if ((method === 'POST' || method === 'PUT') && data?.constructor === Object) {
             const formData = new URLSearchParams();
             for (const key in data) {
                 formData.append(key, data[key]);
             }
             requestOptions.body = formData;
         }
+        const timeout = options.timeout ?? (data instanceof Blob ? 0 : NextcloudFilePicker.REQUEST_TIMEOUT);
+        let timedOut = false;
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        const onAbort = () => controller.abort(options.signal.reason);
+        if (options.signal?.aborted) onAbort();
+        options.signal?.addEventListener('abort', onAbort);
         try {
             const response = await fetch(url, requestOptions);
             if (!response.ok) {
-                throw new Error(`Network response was not ok (${response.status}): ${response.statusText}`);
+                throw NextcloudError.fromResponse(response);
             }
+            const contentType = response.headers.get('Content-Type') || '';
             if (options.responseType === 'blob') {
                 return await response.blob();
-            } else if (response.headers.get('Content-Type').includes('application/json')) {
+            } else if (contentType.includes('application/json')) {
                 return await response.json();
-            } else if (response.headers.get('Content-Type').includes('application/xml') || response.headers.get('Content-Type').includes('text/xml')) {
-                return await response.text();
             } else {
                 return await response.text();
             }
         } catch (error) {
-            console.error('Error making API request:', error);
-            throw error;
-        } 
+            if (error instanceof NextcloudError) throw error;
+            if (timedOut) throw new NextcloudTimeoutError(`No response within ${timeout / 1000} seconds: ${method} ${endpoint}`, { cause: error });
+            if (error.name === 'AbortError') throw error;
+            throw new NextcloudNetworkError(error.message, { cause: error });
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', onAbort);
+        }
+    }
+    /**
+     * Waits before retrying a request.
+     * @param {number} delay - The delay in milliseconds.
+     * @param {AbortSignal} [signal] - An optional signal cancelling the wait.
+     * @returns {Promise<void>} A promise that resolves after the delay, or rejects with an AbortError when cancelled.
+     * @private
+     */
+    static _wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The request was cancelled.', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            if (signal?.aborted) return onAbort();
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
     /**
      * Displays a loading spinner in the file picker UI during processing or API requests.
@@ -345,12 +1414,14 @@ class NextcloudFilePicker extends FilePicker {
             path=path.substring(0,-1);
         }
         let filePath = encodeURIComponent(path)
-        if(getSetting('subdirectory')) {
-            filePath = `${getSetting('subdirectory')}/${filePath}`;
+        const subdirectory = getAccount(this.activeSource).subdirectory;
+        if(subdirectory) {
+            filePath = `${subdirectory}/${filePath}`;
         }
-        const endpoint = `/index.php/apps/webapppassword/api/v1/shares?path=${filePath}&reshares=true&subfiles=false`;
+        const shares = await NextcloudFilePicker.apiEndpoint(this.activeSource, 'shares');
+        const endpoint = `${shares}?path=${filePath}&reshares=true&subfiles=false`;
         try {
-            const response = await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'GET');
+            const response = await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'GET', null, {}, { source: this.activeSource });
             const parser = new DOMParser();
             const xmlDoc = parser.parseFromString(response, "application/xml");
             if ( isFile ) {
@@ -389,25 +1460,211 @@ class NextcloudFilePicker extends FilePicker {
     async createPublicLink(file) {
         let fileName= encodeURIComponent(file.split('/').pop());
         let filePath=file;
-        if(getSetting('subdirectory')) filePath = `${getSetting('subdirectory')}/${filePath}`
-        const endpoint = `/index.php/apps/webapppassword/api/v1/shares`;
-        const body = {
+        const subdirectory = getAccount(this.activeSource).subdirectory;
+        if(subdirectory) filePath = `${subdirectory}/${filePath}`
+        this.showSpinner();
+        let share;
+        try {
+            share = await NextcloudFilePicker._createShare(this.activeSource, filePath);
+        } finally {
+            this.hideSpinner();
+        }
+        if (share) {
+            return share.url + `/download/${fileName}`;
+        } else {
+            return null;
+        }
+    }
+    /**
+     * Creates a public share of a file or directory with the policy configured in the module settings.
+     * @param {string} source - The Nextcloud source of the file or directory.
+     * @param {string} filePath - The path of the file or directory, including the subdirectory.
+     * @returns {Promise<{id: string, url: string}|null>} A promise that resolves to the ID and URL of the share, or null if none was returned.
+     * @private
+     */
+    static async _createShare(source, filePath) {
+        const endpoint = await NextcloudFilePicker.apiEndpoint(source, 'shares');
+        const policy = getSharePolicy();
+        const body = {
             path: filePath,
             shareType: 3,
-            permissions: 1
+            permissions: policy.permissions
         };
-        this.showSpinner();
-        const response = await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'POST', body, {}, {});
-        this.hideSpinner();
+        if (policy.expireDate) body.expireDate = policy.expireDate;
+        if (policy.label) body.label = policy.label;
+        if (policy.note) body.note = policy.note;
+        if (policy.password) body.password = policy.password;
+        const response = await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'POST', body, {}, { source });
         const parser = new DOMParser();
         const xmlDoc = parser.parseFromString(response, "application/xml");
         const urlElement = xmlDoc.querySelector("url");
-        if (urlElement) {
-            const url = urlElement.textContent;
-                        return url + `/download/${fileName}`;
-        } else {
+        const idElement = xmlDoc.querySelector("data > id");
+        if (policy.hideDownload && idElement) {
+            try {
+                await NextcloudFilePicker.makeNextcloudApiRequest(`${endpoint}/${idElement.textContent}`, 'PUT', { hideDownload: true }, {}, { source });
+            } catch (error) {
+                console.error('Error hiding the download of the share:', error);
+                ui.notifications.warn(`The public link of "${filePath}" was created, but its download button could not be hidden: ${describeNextcloudError(error)}`);
+            }
+        }
+        if (!urlElement) return null;
+        return { id: idElement?.textContent ?? '', url: urlElement.textContent };
+    }
+    /**
+     * Builds the public link of a file from the public share of a folder containing it, if folder sharing is enabled.
+     * The share of the folder is created once, or an existing one reused, after which links are built without further requests.
+     * @param {string} path - The path of the file.
+     * @returns {Promise<string|null>} A promise that resolves to the public link, or null if the file is not inside a shared folder.
+     */
+    async folderShareLink(path) {
+        const folder = NextcloudFilePicker._findSharedFolder(path);
+        if (folder === undefined) return null;
+        let share;
+        try {
+            share = await this._getFolderShare(folder);
+        } catch (error) {
+            console.error('Error sharing folder:', error);
+            ui.notifications.warn(`Failed to share the folder "${folder || "/"}", a public link is created for the file instead: ${describeNextcloudError(error)}`);
             return null;
         }
+        if (!share) return null;
+        return NextcloudFilePicker._folderShareFileLink(share, folder, path);
+    }
+    /**
+     * Finds the shared folder containing a file, if folder sharing is enabled.
+     * @param {string} path - The path of the file.
+     * @returns {string|undefined} The innermost shared folder containing the file, relative to the subdirectory, or undefined if there is none.
+     * @private
+     */
+    static _findSharedFolder(path) {
+        if (!getSetting('folderShareMode')) return undefined;
+        const filePath = trimSlashes(path);
+        return getFolderShareFolders()
+            .filter(folder => !folder || filePath.startsWith(`${folder}/`))
+            .sort((a, b) => b.length - a.length)[0];
+    }
+    /**
+     * Builds the public link of a file from the public share of a folder containing it.
+     * @param {{url: string}} share - The share of the folder.
+     * @param {string} folder - The path of the folder, relative to the subdirectory.
+     * @param {string} path - The path of the file.
+     * @returns {string} The public link of the file.
+     * @private
+     */
+    static _folderShareFileLink(share, folder, path) {
+        const parts = trimSlashes(path).substring(folder ? folder.length + 1 : 0).split('/');
+        const fileName = encodeURIComponent(parts.pop());
+        const directory = encodeURIComponent(`/${parts.join('/')}`);
+        return `${share.url}/download/${fileName}?path=${directory}&files=${fileName}`;
+    }
+    /**
+     * Retrieves the public link of a file without asking the user, and records it in the link registry.
+     * A recorded share of a folder containing the file is reused, then an existing share of the file, and otherwise a share of the file is created.
+     * Shares of folders are never created here, since they need the confirmation of the user.
+     * @param {string} source - The Nextcloud source of the file.
+     * @param {string} path - The path of the file, relative to the subdirectory.
+     * @param {string|null} [fileId=null] - The Nextcloud file ID of the file.
+     * @returns {Promise<string|null>} A promise that resolves to the public link, or null if none was returned.
+     */
+    static async sharePublicLink(source, path, fileId = null) {
+        const folder = NextcloudFilePicker._findSharedFolder(path);
+        const folderShare = folder === undefined ? null : getSetting('folderShares')[`${source}:${folder}`];
+        let publicLink = folderShare ? NextcloudFilePicker._folderShareFileLink(folderShare, folder, path) : null;
+        if (!publicLink) {
+            const filePath = '/' + [getAccount(source).subdirectory, path].map(trimSlashes).filterJoin('/');
+            const fileName = encodeURIComponent(filePath.split('/').pop());
+            const endpoint = await NextcloudFilePicker.apiEndpoint(source, 'shares');
+            const response = await NextcloudFilePicker.makeNextcloudApiRequest(`${endpoint}?path=${encodeURIComponent(filePath)}&reshares=true&subfiles=false`, 'GET', null, {}, { source });
+            const share = parseShares(response).find(share => share.shareType === 3) ?? await NextcloudFilePicker._createShare(source, filePath);
+            if (share) publicLink = `${share.url}/download/${fileName}`;
+        }
+        if (!publicLink) return null;
+        await NextcloudLinkRegistry.register({ url: publicLink, path: path, source: source, fileId: fileId }).catch(error => logMessage('error', 'Failed to record the public link', 'Link Registry', error));
+        return publicLink;
+    }
+    /**
+     * Finds the current path of a file from its Nextcloud file ID, which stays the same when the file is moved or renamed.
+     * @param {string} source - The Nextcloud source of the file.
+     * @param {string} fileId - The Nextcloud file ID.
+     * @returns {Promise<string|null>} A promise that resolves to the path of the file relative to the subdirectory, or null if it is not inside the subdirectory anymore.
+     */
+    static async findPathByFileId(source, fileId) {
+        if (!/^\d+$/.test(String(fileId))) return null;
+        const { userName, subdirectory } = getAccount(source);
+        const scope = [`/files/${userName}`, trimSlashes(subdirectory)].filterJoin('/');
+        const searchXml = `<?xml version="1.0"?>
+        <d:searchrequest xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+            <d:basicsearch>
+                <d:select>
+                    <d:prop>
+                        <d:displayname/>
+                    </d:prop>
+                </d:select>
+                <d:from>
+                    <d:scope>
+                        <d:href>${scope}</d:href>
+                        <d:depth>infinity</d:depth>
+                    </d:scope>
+                </d:from>
+                <d:where>
+                    <d:eq>
+                        <d:prop>
+                            <oc:fileid/>
+                        </d:prop>
+                        <d:literal>${fileId}</d:literal>
+                    </d:eq>
+                </d:where>
+                <d:orderby/>
+            </d:basicsearch>
+        </d:searchrequest>`;
+        const response = await NextcloudFilePicker.makeNextcloudApiRequest('remote.php/dav/', 'SEARCH', searchXml, { 'Content-Type': 'text/xml' }, { source });
+        const href = new DOMParser().parseFromString(response, "application/xml").querySelector("d\\:href, href")?.textContent;
+        if (!href) return null;
+        const path = decodeURIComponent(href).replace(/^.*?\/remote\.php\/dav\/files\/[^/]+\//, '');
+        return isInsideSubdirectory(path, source) ? trimSlashes(stripSubdirectory(path, source)) : null;
+    }
+    /**
+     * Retrieves the public share of a folder, reusing a recorded or existing share, or creating one after confirmation.
+     * @param {string} folder - The path of the folder, relative to the subdirectory.
+     * @returns {Promise<{id: string, url: string}|null>} A promise that resolves to the ID and URL of the share, or null if the user declined to share the folder.
+     * @private
+     */
+    async _getFolderShare(folder) {
+        const key = `${this.activeSource}:${folder}`;
+        const folderShares = getSetting('folderShares');
+        if (folderShares[key]) return folderShares[key];
+        const sharePath = '/' + [getAccount(this.activeSource).subdirectory, folder].map(trimSlashes).filterJoin('/');
+        const endpoint = await NextcloudFilePicker.apiEndpoint(this.activeSource, 'shares');
+        this.showSpinner();
+        let share;
+        try {
+            const response = await NextcloudFilePicker.makeNextcloudApiRequest(`${endpoint}?path=${encodeURIComponent(sharePath)}&reshares=true`, 'GET', null, {}, { source: this.activeSource });
+            share = parseShares(response).find(share => share.shareType === 3);
+        } finally {
+            this.hideSpinner();
+        }
+        if (!share) {
+            const confirmed = await Dialog.confirm({
+                title: "Share Folder",
+                content: `<p>A single public link will be created for the folder <strong>${Handlebars.escapeExpression(sharePath)}</strong>.  Anyone with a link to one of its files will be able to download every file inside it.  Do you wish to proceed?</p>`,
+                defaultYes: false
+            });
+            if (!confirmed) return null;
+            this.showSpinner();
+            try {
+                share = await NextcloudFilePicker._createShare(this.activeSource, sharePath);
+            } finally {
+                this.hideSpinner();
+            }
+            if (!share) return null;
+            ui.notifications.info(`A public link has been created for the folder ${sharePath}.`);
+        }
+        const result = { id: share.id, url: share.url };
+        if (game.user.can("SETTINGS_MODIFY")) {
+            folderShares[key] = result;
+            setSetting('folderShares', folderShares);
+        }
+        return result;
     }
     /**
      * Updates the file picker UI with icons indicating which files have public links.
@@ -450,29 +1707,10 @@ class NextcloudFilePicker extends FilePicker {
         ev.preventDefault();
         let path = ev.target.file.value;
         if (!path) return ui.notifications.error("You must select a file to proceed.");
-        if (this.activeSource === "nextcloud") {
-            const publicLink = await this.checkPublicLink(path);
-            if (!publicLink) {
-                const proceed = await this.showConfirmationDialog();
-                if (proceed) {
-                    try {
-                        const target = await this.createPublicLink(path);
-                        ui.notifications.info("A public link has been created for the file.");
-                        path = target;
-                        handleFileSelection(ev.target.file.value, path);
-                    } catch (error) {
-                        console.error('Error creating public link:', error);
-                        ui.notifications.error("Failed to create a public link for the file.");
-                        return;
-                    }
-                } else {
-                    return;
-                }
-            }
-            else {
-                path = publicLink;
-                handleFileSelection(ev.target.file.value, path);
-            }
+        if (isNextcloudSource(this.activeSource)) {
+            const publicLink = await this.resolvePublicLink(path);
+            if (!publicLink) return;
+            path = publicLink;
         }
         if (this.field) {
             this.field.value = path;
@@ -481,6 +1719,36 @@ class NextcloudFilePicker extends FilePicker {
         if (this.callback) this.callback(path, this);
         return this.close();
     }
+    /**
+     * Retrieves the public link of a Nextcloud file, creating it after confirmation if it does not exist yet,
+     * and records the link in the link registry.
+     * @param {string} path - The path of the file.
+     * @param {Object} [options={}] - Set confirm to false to create the public link without asking.
+     * @returns {Promise<string|null>} A promise that resolves to the public link, or null if none was created.
+     */
+    async resolvePublicLink(path, { confirm = true } = {}) {
+        const fileId = this._entryDetails?.[path]?.fileId ?? null;
+        let publicLink = await this.folderShareLink(path);
+        if (publicLink) {
+            await NextcloudLinkRegistry.register({ url: publicLink, path: path, source: this.activeSource, fileId: fileId }).catch(error => logMessage('error', 'Failed to record the public link', 'Link Registry', error));
+            return publicLink;
+        }
+        publicLink = await this.checkPublicLink(path);
+        if (!publicLink) {
+            if (confirm && !await this.showConfirmationDialog()) return null;
+            try {
+                publicLink = await this.createPublicLink(path);
+                ui.notifications.info("A public link has been created for the file.");
+            } catch (error) {
+                console.error('Error creating public link:', error);
+                ui.notifications.error(`Failed to create a public link for the file: ${describeNextcloudError(error)}`);
+                return null;
+            }
+            if (!publicLink) return null;
+        }
+        await NextcloudLinkRegistry.register({ url: publicLink, path: path, source: this.activeSource, fileId: fileId }).catch(error => logMessage('error', 'Failed to record the public link', 'Link Registry', error));
+        return publicLink;
+    }
     /**
      * Displays a confirmation dialog when creating a public link for a file.
      * @returns {Promise<boolean>} A promise that resolves to true if the user confirms, false otherwise.
@@ -489,9 +1757,17 @@ class NextcloudFilePicker extends FilePicker {
         if (game.settings.get('nextcloud-filepicker', 'skipPublicLinkConfirmation')) {
             return true;
         }
+        const policy = getSharePolicy();
         return new Promise(resolve => {
             let content = `
                 <p>In order for other players to view this image, a public link will need to be created. Do you wish to proceed?</p>
+                <ul>
+                    <li>Access: read-only${policy.hideDownload ? ", downloads hidden" : ""}</li>
+                    <li>Expires: ${Handlebars.escapeExpression(policy.expireDate || "never")}</li>
+                    <li>Password protected: ${policy.password ? "yes" : "no"}</li>
+                    ${policy.label ? `<li>Label: ${Handlebars.escapeExpression(policy.label)}</li>` : ""}
+                    ${policy.note ? `<li>Note: ${Handlebars.escapeExpression(policy.note)}</li>` : ""}
+                </ul>
                 <div><input type="checkbox" id="skipConfirmation" name="skipConfirmation"><label for="skipConfirmation">Do not ask again</label></div>
             `;
             let d = new Dialog({
@@ -525,38 +1801,519 @@ class NextcloudFilePicker extends FilePicker {
      * @param {string} path - The path where the file will be uploaded.
      * @param {File} file - The file to be uploaded.
      * @param {Object} [body={}] - Additional body parameters for the upload request.
-     * @param {Object} [options={}] - Additional options for the upload request.
+     * @param {Object} [options={}] - Additional options for the upload request.  Set overwrite to false to refuse replacing an existing file.
      * @returns {Promise<Object>} A promise that resolves with upload response details.
      */
     static async upload(source, path, file, body={}, options={}) {
-        if (source === "nextcloud") {
-            const endpoint = `remote.php/dav/files/${getSetting('userName')}/${getSetting('subdirectory')}/${path}/${file.name}`;
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = async () => {
-                    try {
-                        const arrayBuffer = reader.result;
-                        await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'PUT', arrayBuffer, {}, {});
-                        resolve({ path: endpoint });
-                    } catch (error) {
-                        console.error('Error uploading to Nextcloud:', error);
-                        reject(error);
-                    }
-                };
-                reader.onerror = () => reject(reader.error);
-                reader.readAsArrayBuffer(file);
-            });
+        if (isNextcloudSource(source)) {
+            const filePath = [trimSlashes(path), file.name].filterJoin("/");
+            const endpoint = davEndpoint(filePath, source);
+            try {
+                if (file.size > NextcloudFilePicker.CHUNK_SIZE) {
+                    await NextcloudFilePicker._uploadChunked(source, filePath, file, options);
+                } else {
+                    const headers = options.overwrite === false ? { 'If-None-Match': '*' } : {};
+                    await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'PUT', file, headers, { signal: options.signal, source });
+                    if (options.onProgress) options.onProgress(file.size);
+                }
+                NextcloudFilePicker.invalidateDirectoryCache(source, filePath);
+                return { path: endpoint };
+            } catch (error) {
+                console.error('Error uploading to Nextcloud:', error);
+                throw error;
+            }
         } else {
             return super.upload(source, path, file, body, options);
         }
     }
+    /**
+     * Uploads a large file to Nextcloud in chunks, using the Nextcloud chunked upload protocol.
+     * The chunks are uploaded to a temporary upload directory which is assembled into the destination file once complete.
+     * @param {string} source - The Nextcloud source to upload to.
+     * @param {string} filePath - The destination path of the file.
+     * @param {File} file - The file to be uploaded.
+     * @param {Object} [options={}] - An optional AbortSignal (signal), overwrite flag (overwrite) and progress callback (onProgress) receiving the uploaded byte count.
+     * @returns {Promise<void>} A promise that resolves once the file has been assembled at its destination.
+     * @private
+     */
+    static async _uploadChunked(source, filePath, file, options = {}) {
+        const uploadEndpoint = `remote.php/dav/uploads/${getAccount(source).userName}/foundry-${foundry.utils.randomID()}`;
+        const signal = options.signal;
+        await NextcloudFilePicker.makeNextcloudApiRequest(uploadEndpoint, 'MKCOL', null, {}, { signal, source });
+        try {
+            for (let start = 0; start < file.size; start += NextcloudFilePicker.CHUNK_SIZE) {
+                const end = Math.min(start + NextcloudFilePicker.CHUNK_SIZE, file.size);
+                const chunkName = `${String(start).padStart(15, '0')}-${String(end - 1).padStart(15, '0')}`;
+                await NextcloudFilePicker.makeNextcloudApiRequest(`${uploadEndpoint}/${chunkName}`, 'PUT', file.slice(start, end), {}, { signal, source });
+                if (options.onProgress) options.onProgress(end);
+            }
+            const headers = {
+                'Destination': constructWebDavUrl(davEndpoint(filePath, source), source),
+                'Overwrite': options.overwrite === false ? 'F' : 'T'
+            };
+            await NextcloudFilePicker.makeNextcloudApiRequest(`${uploadEndpoint}/.file`, 'MOVE', null, headers, { signal, source });
+        } catch (error) {
+            NextcloudFilePicker.makeNextcloudApiRequest(uploadEndpoint, 'DELETE', null, {}, { source }).catch(() => {});
+            throw error;
+        }
+    }
+    /**
+     * Adds the files selected in the upload field to the upload queue when browsing Nextcloud.
+     * @param {Event} event - The change event of the upload field.
+     * @private
+     */
+    async _onUpload(event) {
+        if (!isNextcloudSource(this.activeSource)) return super._onUpload(event);
+        const upload = event.target.form?.upload ?? event.target;
+        const files = Array.from(upload.files);
+        upload.value = "";
+        return this._queueUploads(files);
+    }
+    /**
+     * Adds files to the upload queue of the current Nextcloud directory, after resolving conflicts with existing files
+     * and checking the storage quota.
+     * @param {File[]} files - The files to upload.
+     * @returns {Promise<void>} A promise that resolves once the files have been queued.
+     * @private
+     */
+    async _queueUploads(files) {
+        files = this._filterUploadExtensions(files);
+        if (!files.length) return;
+        const optimized = await this._optimizeUploads(files.map(file => ({ source: this.activeSource, file, path: this.target })));
+        let entries;
+        try {
+            entries = await this._resolveUploadConflicts(optimized);
+        } catch (error) {
+            console.error('Error checking for existing files:', error);
+            return ui.notifications.error(`Failed to check for existing files before uploading: ${describeNextcloudError(error)}`);
+        }
+        if (!entries.length || !await this._confirmQuota(entries.map(entry => entry.file))) return;
+        this.constructor.uploadQueue.add(entries);
+    }
+    /**
+     * Handles files dropped onto the file picker, uploading them to the current Nextcloud directory.
+     * @param {DragEvent} event - The drop event.
+     * @returns {Promise<void>} A promise that resolves once the files have been queued.
+     * @private
+     */
+    async _onDrop(event) {
+        if (!isNextcloudSource(this.activeSource)) return super._onDrop(event);
+        const data = TextEditor.getDragEventData(event);
+        const files = Array.from(event.dataTransfer.files ?? []);
+        if (!files.length || data.fromFilePicker) return;
+        return this._queueUploads(files);
+    }
+    /**
+     * Starts dragging a Nextcloud file.  The drag data identifies the file instead of its WebDAV address, which players cannot load:
+     * the public link is resolved when the file is dropped onto the canvas.
+     * @param {DragEvent} event - The drag start event.
+     * @private
+     */
+    _onDragStart(event) {
+        if (!isNextcloudSource(this.activeSource)) return super._onDragStart(event);
+        const li = event.currentTarget;
+        const tileSize = parseInt(li.closest("form")?.tileSize?.value) || canvas.dimensions.size;
+        const dragData = {
+            type: "NextcloudFile",
+            source: this.activeSource,
+            path: li.dataset.path,
+            appId: this.appId,
+            tileSize: tileSize,
+            fromFilePicker: true
+        };
+        event.dataTransfer.setData("text/plain", JSON.stringify(dragData));
+        const img = li.querySelector("img");
+        if (img?.naturalWidth) {
+            const ratio = canvas.dimensions.size / tileSize;
+            const w = img.naturalWidth * ratio * canvas.stage.scale.x;
+            const h = img.naturalHeight * ratio * canvas.stage.scale.y;
+            const preview = DragDrop.createDragImage(img, w, h);
+            event.dataTransfer.setDragImage(preview, w / 2, h / 2);
+        }
+    }
+    /**
+     * Adds the files of a selected folder to the upload queue, recreating its directory structure in Nextcloud.
+     * @param {Event} event - The change event of the folder upload field.
+     * @private
+     */
+    async _onUploadFolder(event) {
+        const upload = event.target;
+        const files = this._filterUploadExtensions(Array.from(upload.files));
+        upload.value = "";
+        if (!files.length) return;
+        const directories = new Set();
+        const entries = await this._optimizeUploads(files.map(file => {
+            const parts = file.webkitRelativePath.split('/').slice(0, -1);
+            parts.forEach((part, index) => directories.add([trimSlashes(this.target), ...parts.slice(0, index + 1)].filterJoin("/")));
+            return { source: this.activeSource, file, path: [trimSlashes(this.target), ...parts].filterJoin("/") };
+        }));
+        if (!entries.length || !await this._confirmQuota(entries.map(entry => entry.file))) return;
+        try {
+            for (const directory of [...directories].sort()) {
+                await this.constructor.ensureDirectory(this.activeSource, directory);
+            }
+        } catch (error) {
+            console.error('Error creating directory:', error);
+            return ui.notifications.error("Failed to recreate the folder structure in Nextcloud.");
+        }
+        this.constructor.uploadQueue.add(await this._resolveUploadConflicts(entries));
+    }
+    /**
+     * Scales an image down to a maximum width or height and optionally converts it to WebP.
+     * The image is returned unchanged if it is not a raster image, already fits and needs no conversion, or if the result would be larger.
+     * @param {File} file - The image to optimize.
+     * @param {Object} options - The maximum width or height in pixels (maxSize), whether to convert to WebP (webp) and the WebP quality between 0 and 1 (quality).
+     * @returns {Promise<File>} A promise that resolves to the optimized image, or to the original file.
+     */
+    static async optimizeImage(file, { maxSize, webp = false, quality = 0.85 }) {
+        if (!NextcloudFilePicker.OPTIMIZABLE_TYPES.includes(file.type)) return file;
+        const bitmap = await createImageBitmap(file);
+        const fits = Math.max(bitmap.width, bitmap.height) <= maxSize;
+        bitmap.close();
+        const type = webp ? 'image/webp' : (file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png');
+        if (fits && type === file.type) return file;
+        const blob = await resizeImage(file, maxSize, type, quality);
+        if (!blob || (blob.size >= file.size && type === file.type)) return file;
+        const name = type === file.type ? file.name : file.name.replace(/\.[^.]+$/, '') + (webp ? '.webp' : '.png');
+        return new File([blob], name, { type, lastModified: file.lastModified });
+    }
+    /**
+     * Offers to optimize the images among the files to upload, if enabled in the settings.
+     * Optimized images replace the originals, which are uploaded as well if the user chooses to keep them.
+     * @param {Object[]} entries - The files to upload, each with the Nextcloud source (source), the file (file) and its destination directory (path).
+     * @returns {Promise<Object[]>} A promise that resolves to the entries to upload, empty if the upload was cancelled.
+     * @private
+     */
+    async _optimizeUploads(entries) {
+        const images = entries.filter(entry => NextcloudFilePicker.OPTIMIZABLE_TYPES.includes(entry.file.type));
+        if (!getSetting('optimizeImages') || !images.length) return entries;
+        const cache = new Map();
+        const optimize = (file, options) => {
+            const key = `${entries.findIndex(entry => entry.file === file)}:${options.maxSize}:${options.webp}:${options.quality}`;
+            if (!cache.has(key)) cache.set(key, NextcloudFilePicker.optimizeImage(file, options).catch(error => {
+                console.error('Error optimizing image:', error);
+                return file;
+            }));
+            return cache.get(key);
+        };
+        const options = await this._optimizeDialog(images.map(entry => entry.file), optimize);
+        if (options === null) return [];
+        if (!options) return entries;
+        const result = [];
+        for (const entry of entries) {
+            if (!images.includes(entry)) {
+                result.push(entry);
+                continue;
+            }
+            const file = await optimize(entry.file, options);
+            result.push({ ...entry, file });
+            if (options.keepOriginal && file !== entry.file) {
+                const original = file.name !== entry.file.name ? entry.file
+                    : new File([entry.file], entry.file.name.replace(/(\.[^.]+)?$/, '-original$1'), { type: entry.file.type, lastModified: entry.file.lastModified });
+                result.push({ ...entry, file: original });
+            }
+        }
+        return result;
+    }
+    /**
+     * Displays the image optimization options with a preview of the size of each image before and after optimization.
+     * @param {File[]} files - The images to upload.
+     * @param {Function} optimize - Optimizes an image with the given options, returning a promise of the optimized file.
+     * @returns {Promise<Object|boolean|null>} A promise that resolves to the chosen options, false to upload the originals, or null to cancel the upload.
+     * @private
+     */
+    _optimizeDialog(files, optimize) {
+        const sizes = { token: getSetting('optimizeTokenSize'), tile: getSetting('optimizeTileSize'), map: getSetting('optimizeMapSize') };
+        const labels = { token: "Token", tile: "Tile", map: "Map" };
+        const assetType = getSetting('optimizeAssetType');
+        const quality = getSetting('optimizeQuality');
+        const rows = files.map((file, index) => `<tr data-index="${index}">
+            <td style="word-break: break-all;">${Handlebars.escapeExpression(file.name)}</td>
+            <td>${formatFileSize(file.size)}</td>
+            <td class="optimized"></td>
+        </tr>`).join("");
+        const content = `<form class="nextcloud-optimize" autocomplete="off">
+            <p>Scale down the images before uploading them, so that they load faster for everyone at the table.</p>
+            <div class="form-group">
+                <label>Asset Type</label>
+                <select name="assetType">
+                    ${Object.entries(labels).map(([type, label]) => `<option value="${type}" ${type === assetType ? "selected" : ""}>${label} (at most ${sizes[type]} px)</option>`).join("")}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Convert to WebP</label>
+                <input type="checkbox" name="webp" ${getSetting('optimizeWebp') ? "checked" : ""}>
+            </div>
+            <div class="form-group">
+                <label>WebP Quality</label>
+                <div class="form-fields">
+                    <input type="range" name="quality" min="10" max="100" step="5" value="${quality}">
+                    <span class="range-value">${quality}</span>
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Keep Original</label>
+                <input type="checkbox" name="keepOriginal" ${getSetting('optimizeKeepOriginal') ? "checked" : ""}>
+            </div>
+            <table>
+                <thead><tr><th>Image</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </form>`;
+        const read = html => {
+            const form = html.find('form')[0];
+            return {
+                assetType: form.assetType.value,
+                maxSize: sizes[form.assetType.value],
+                webp: form.webp.checked,
+                quality: Number(form.quality.value) / 100,
+                keepOriginal: form.keepOriginal.checked
+            };
+        };
+        let preview = 0;
+        const updatePreview = async html => {
+            const current = ++preview;
+            const options = read(html);
+            html.find('.optimized').html('<i class="fas fa-spinner fa-spin"></i>');
+            for (const [index, file] of files.entries()) {
+                const optimized = await optimize(file, options);
+                if (current !== preview) return;
+                const saved = Math.round((1 - optimized.size / file.size) * 100);
+                html.find(`tr[data-index="${index}"] .optimized`).text(optimized === file
+                    ? "Unchanged"
+                    : `${formatFileSize(optimized.size)} (-${saved}%)${optimized.name !== file.name ? `, ${optimized.name}` : ""}`);
+            }
+        };
+        return new Promise(resolve => {
+            new Dialog({
+                title: "Optimize Images",
+                content: content,
+                buttons: {
+                    optimize: {
+                        icon: '<i class="fas fa-compress"></i>',
+                        label: "Optimize and Upload",
+                        callback: html => {
+                            const options = read(html);
+                            setSetting('optimizeAssetType', options.assetType);
+                            resolve(options);
+                        }
+                    },
+                    original: {
+                        icon: '<i class="fas fa-upload"></i>',
+                        label: "Upload Originals",
+                        callback: () => resolve(false)
+                    }
+                },
+                default: "optimize",
+                render: html => {
+                    html.find('select, input[type="checkbox"], input[name="quality"]').change(() => updatePreview(html));
+                    html.find('input[name="quality"]').on('input', ev => html.find('.range-value').text(ev.currentTarget.value));
+                    updatePreview(html);
+                },
+                close: () => resolve(null)
+            }, { width: 480 }).render(true);
+        });
+    }
+    /**
+     * Checks whether the files to upload fit in the remaining storage quota, and asks the user whether to upload them anyway if they do not.
+     * @param {File[]} files - The files to upload.
+     * @returns {Promise<boolean>} A promise that resolves to true if the upload should proceed.
+     * @private
+     */
+    async _confirmQuota(files) {
+        const size = files.reduce((total, file) => total + file.size, 0);
+        let quota;
+        try {
+            quota = await NextcloudFilePicker.fetchQuota(this.activeSource);
+        } catch (error) {
+            console.error('Error fetching Nextcloud quota:', error);
+            return true;
+        }
+        if (quota.available === null || size <= quota.available) return true;
+        return Dialog.confirm({
+            title: "Not Enough Storage",
+            content: `<p>The selected files need <strong>${formatFileSize(size)}</strong>, but only <strong>${formatFileSize(quota.available)}</strong> are available in your Nextcloud storage.</p>
+                <p>The files that do not fit will fail to upload.  Upload anyway?</p>`,
+            defaultYes: false
+        });
+    }
+    /**
+     * Checks whether the files to upload already exist at their destination and asks the user how to handle each conflict.
+     * Conflicting files are either overwritten, uploaded under a new name such as "goblin (2).png", or skipped.
+     * @param {Object[]} entries - The files to upload, each with the Nextcloud source (source), the file (file) and its destination directory (path).
+     * @returns {Promise<Object[]>} A promise that resolves to the files to upload, each with an overwrite flag.
+     * @private
+     */
+    async _resolveUploadConflicts(entries) {
+        const existingNames = new Map();
+        const resolved = [];
+        let skippedCount = 0;
+        let appliedChoice = null;
+        for (const entry of entries) {
+            if (!existingNames.has(entry.path)) {
+                existingNames.set(entry.path, await this._listFileNames(entry.path));
+            }
+            const names = existingNames.get(entry.path);
+            let file = entry.file;
+            let overwrite = false;
+            if (names.has(file.name)) {
+                const filePath = `/${[trimSlashes(entry.path), file.name].filterJoin("/")}`;
+                const publicLink = await this.checkPublicLink(filePath);
+                const remaining = entries.length - resolved.length - skippedCount;
+                let choice = appliedChoice;
+                if (!choice) {
+                    const result = await this._uploadConflictDialog(filePath, !!publicLink, remaining > 1);
+                    choice = result.choice;
+                    if (result.applyToAll) appliedChoice = choice;
+                } else if (choice === "overwrite" && publicLink) {
+                    ui.notifications.warn(`${file.name} has a public link, players will see the new content immediately.`);
+                }
+                if (choice === "skip") {
+                    skippedCount++;
+                    continue;
+                }
+                if (choice === "overwrite") overwrite = true;
+                else file = new File([file], this._findAvailableName(file.name, names), { type: file.type });
+            }
+            names.add(file.name);
+            resolved.push({ source: entry.source, file, path: entry.path, overwrite });
+        }
+        return resolved;
+    }
+    /**
+     * Lists the names of the files and subdirectories in a Nextcloud directory.
+     * @param {string} path - The path of the directory.
+     * @returns {Promise<Set<string>>} A promise that resolves to the names, empty if the directory does not exist.
+     * @throws {NextcloudError} If the directory could not be listed for any other reason.
+     * @private
+     */
+    async _listFileNames(path) {
+        try {
+            const xmlResponse = await NextcloudFilePicker.makeNextcloudApiRequest(davEndpoint(path, this.activeSource), 'PROPFIND', null, {}, { source: this.activeSource });
+            const { files, directories } = this._parseWebDavResponse(xmlResponse);
+            const subdirectories = directories.filter(directory => !this._isSameDirectory(directory.href, path));
+            return new Set([...files, ...subdirectories].map(entry => entry.name));
+        } catch (error) {
+            if (error instanceof NextcloudNotFoundError) return new Set();
+            throw error;
+        }
+    }
+    /**
+     * Finds a file name which is not taken yet by appending a counter, such as "goblin (2).png".
+     * @param {string} fileName - The original file name.
+     * @param {Set<string>} names - The file names already taken in the directory.
+     * @returns {string} The first available file name.
+     * @private
+     */
+    _findAvailableName(fileName, names) {
+        const dot = fileName.lastIndexOf('.');
+        const base = dot > 0 ? fileName.substring(0, dot) : fileName;
+        const extension = dot > 0 ? fileName.substring(dot) : '';
+        let counter = 2;
+        while (names.has(`${base} (${counter})${extension}`)) counter++;
+        return `${base} (${counter})${extension}`;
+    }
+    /**
+     * Displays a dialog asking the user whether to overwrite, keep both or skip a file which already exists.
+     * @param {string} filePath - The path of the existing file.
+     * @param {boolean} isShared - Whether the existing file has a public link.
+     * @param {boolean} canApplyToAll - Whether to offer applying the choice to the remaining conflicts.
+     * @returns {Promise<Object>} A promise that resolves to the choice ("overwrite", "rename" or "skip") and whether to apply it to all conflicts.
+     * @private
+     */
+    async _uploadConflictDialog(filePath, isShared, canApplyToAll) {
+        return new Promise(resolve => {
+            const content = `
+                <p><strong>${Handlebars.escapeExpression(filePath)}</strong> already exists in Nextcloud. What do you want to do?</p>
+                ${isShared ? "<p><i class='fas fa-link' style='color: #0082C9;'></i> This file has a public link: if you overwrite it, your players will immediately see the new content.</p>" : ""}
+                ${canApplyToAll ? `<div><input type="checkbox" id="applyToAll" name="applyToAll"><label for="applyToAll">Apply to all conflicts</label></div>` : ""}
+            `;
+            const choose = (choice, html) => resolve({ choice, applyToAll: html?.find('#applyToAll').is(':checked') ?? false });
+            new Dialog({
+                title: "File Already Exists",
+                content: content,
+                buttons: {
+                    overwrite: {
+                        icon: '<i class="fas fa-file-import"></i>',
+                        label: "Overwrite",
+                        callback: html => choose("overwrite", html)
+                    },
+                    rename: {
+                        icon: '<i class="fas fa-copy"></i>',
+                        label: "Keep Both",
+                        callback: html => choose("rename", html)
+                    },
+                    skip: {
+                        icon: '<i class="fas fa-forward"></i>',
+                        label: "Skip",
+                        callback: html => choose("skip", html)
+                    }
+                },
+                default: "rename",
+                close: () => choose("skip")
+            }).render(true);
+        });
+    }
+    /**
+     * Filters out the files which do not match the allowed extensions of the file picker, warning the user about them.
+     * @param {File[]} files - The files selected for upload.
+     * @returns {File[]} The files allowed to be uploaded.
+     * @private
+     */
+    _filterUploadExtensions(files) {
+        if (this.type === "any" || !this.extensions?.length) return files;
+        const allowed = files.filter(file => this.extensions.some(ext => file.name.toLowerCase().endsWith(ext)));
+        if (allowed.length < files.length) {
+            ui.notifications.warn(`${files.length - allowed.length} file(s) skipped because their type is not allowed here.`);
+        }
+        return allowed;
+    }
+    /**
+     * Renders the upload queue of the Nextcloud source below the file list.
+     * @param {jQuery} [html] - The rendered HTML of the file picker.
+     * @private
+     */
+    _renderUploadQueue(html = this.element) {
+        html.find('.nextcloud-upload-queue').remove();
+        const items = this.constructor.uploadQueue.items;
+        if (!isNextcloudSource(this.activeSource) || !items.length) return;
+        const statusLabels = { queued: "Queued", uploading: "Uploading", done: "Done", failed: "Failed", cancelled: "Cancelled" };
+        const rows = items.map(item => {
+            const canCancel = ["queued", "uploading"].includes(item.status);
+            const canRetry = ["failed", "cancelled"].includes(item.status);
+            return `<li class="flexrow" data-id="${item.id}" style="align-items: center; gap: 4px;" ${item.error ? `data-tooltip="${Handlebars.escapeExpression(item.error)}"` : ""}>
+                <span style="flex: 2; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${Handlebars.escapeExpression(item.name)}</span>
+                <progress style="flex: 2;" value="${item.loaded}" max="${item.file.size || 1}"></progress>
+                <span style="flex: 1;">${statusLabels[item.status]}</span>
+                ${canCancel ? '<a data-action="cancel" data-tooltip="Cancel" style="flex: 0;"><i class="fas fa-times"></i></a>' : ""}
+                ${canRetry ? '<a data-action="retry" data-tooltip="Retry" style="flex: 0;"><i class="fas fa-redo"></i></a>' : ""}
+            </li>`;
+        }).join("");
+        const queue = $(`<section class="nextcloud-upload-queue" style="max-height: 120px; overflow-y: auto; margin: 4px 0;">
+            <div class="flexrow"><strong>Uploads</strong><a data-action="clear" style="flex: 0; white-space: nowrap;"><i class="fas fa-broom"></i> Clear Finished</a></div>
+            <ol style="list-style: none; margin: 0; padding: 0;">${rows}</ol>
+        </section>`);
+        queue.find('[data-action="cancel"]').click(ev => this.constructor.uploadQueue.cancel(ev.currentTarget.closest('li').dataset.id));
+        queue.find('[data-action="retry"]').click(ev => this.constructor.uploadQueue.retry(ev.currentTarget.closest('li').dataset.id));
+        queue.find('[data-action="clear"]').click(() => this.constructor.uploadQueue.clear());
+        html.find('.filepicker-body').after(queue);
+    }
+    /**
+     * Refreshes the upload queue display when the queue changes, and the file list once the queue has finished.
+     * @param {boolean} finished - Whether every queued upload has been processed.
+     */
+    onUploadQueueChange(finished) {
+        if (!this.rendered) return;
+        this._renderUploadQueue();
+        if (finished && isNextcloudSource(this.activeSource)) this.browse(this.target);
+    }
     /**
      * Presents a dialog to create a new directory in the Nextcloud storage.
      * @param {Object} source - The data source being browsed.
      * @private
      */
     _createDirectoryDialog(source) {
-        if (this.activeSource === "nextcloud") {
+        if (isNextcloudSource(this.activeSource)) {
             const form = `<form><div class="form-group">
             <label>Directory Name</label>
             <input type="text" name="dirname" placeholder="directory-name" required/>
@@ -581,6 +2338,20 @@ class NextcloudFilePicker extends FilePicker {
             return super._createDirectoryDialog(source);
         }
     }
+    /**
+     * Creates a directory in the Nextcloud storage unless it already exists.
+     * @param {string} source - The Nextcloud source in which the directory is created.
+     * @param {string} path - The path of the directory.
+     * @returns {Promise<void>} A promise that resolves once the directory exists.
+     */
+    static async ensureDirectory(source, path) {
+        try {
+            await NextcloudFilePicker.makeNextcloudApiRequest(davEndpoint(path, source), 'MKCOL', null, {}, { source });
+            NextcloudFilePicker.invalidateDirectoryCache(source, path);
+        } catch (error) {
+            if (error.status !== 405) throw error;
+        }
+    }
     /**
      * Creates a new directory in the Nextcloud storage.
      * @param {string} source - The source in which the directory is being created.
@@ -589,107 +2360,504 @@ class NextcloudFilePicker extends FilePicker {
      * @returns {Promise<boolean>} A promise that resolves to true if the directory is successfully created, false otherwise.
      */
     static async createDirectory(source, target, options = {}) {
-        if (source === "nextcloud") {
+        if (isNextcloudSource(source)) {
             let fullPath = target;
-            const endpoint = `remote.php/dav/files/${getSetting('userName')}/${getSetting('subdirectory')}/${fullPath}`;
+            const endpoint = davEndpoint(fullPath, source);
             try {
-                await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'MKCOL', null, {}, {});
+                await NextcloudFilePicker.makeNextcloudApiRequest(endpoint, 'MKCOL', null, {}, { source });
+                NextcloudFilePicker.invalidateDirectoryCache(source, fullPath);
                 ui.notifications.info(`Directory created: ${fullPath}`);
                 return true;
             } catch (error) {
                 console.error('Error creating directory:', error);
-                ui.notifications.error(`Failed to create directory: ${fullPath}`);
+                ui.notifications.error(`Failed to create directory ${fullPath}: ${describeNextcloudError(error)}`);
                 return false;
             }
         } else {
             return super.createDirectory(source, target, options);
         }
     }
-     /**
-     * Browses the target directory in Nextcloud and updates the file picker UI with the results.
-     * @param {string} [target=""] - The target directory to browse.
-     * @param {Object} [options={}] - Additional browsing options.
-     * @returns {Promise<Object>} A promise that resolves to the browsing result data.
+    /**
+     * Deletes a file or directory from the Nextcloud storage.
+     * @param {string} source - The Nextcloud source of the file or directory.
+     * @param {string} path - The path of the file or directory to delete.
+     * @returns {Promise<boolean>} A promise that resolves to true once the file or directory has been deleted.
      */
-     async browse(target = "", options = {}) {
-        if (this.activeSource === "nextcloud") {
-            const data = await this._fetchNextcloudFiles(target);
-            const convertedData = this._convertToBrowseResults(data);
-            let filteredFiles = convertedData.files;
-            if (this.type !== "any" && this.extensions.length) {
-                filteredFiles = convertedData.files.filter(file => {
-                    return this.extensions.some(ext => file.name.toLowerCase().endsWith(ext));
-                });
-            }
-            this.result = {
-                target: target,
-                private: false,
-                gridSize: null,
-                dirs: convertedData.dirs.map(dir => {
-                    let dirName = dir.path;
-                    return dirName;
-                }),
-                privateDirs: [],
-                files: filteredFiles.map(file => file.url),
-                extensions: this.extensions || []
-            };
-            this.constructor.LAST_BROWSED_DIRECTORY = this.result.target;
-            this._loaded = true;
-            try {
-                this.source.target = target;
-                this.render(true);
-                return this.result;
-            }
-            catch (error){
-            }
-        } else {
-            const super_result=super.browse(target, options);
-            return super_result;
+    static async deleteFile(source, path) {
+        await NextcloudFilePicker.makeNextcloudApiRequest(davEndpoint(path, source), 'DELETE', null, {}, { source });
+        NextcloudFilePicker.invalidateDirectoryCache(source, path);
+        await NextcloudLinkRegistry.removePath(source, path).catch(error => logMessage('error', 'Failed to remove the public links of the deleted file', 'Link Registry', error));
+        return true;
+    }
+    /**
+     * Moves or copies a file or directory to another location within the Nextcloud storage.
+     * Existing files at the destination are never overwritten.
+     * @param {string} source - The Nextcloud source of the file or directory.
+     * @param {string} path - The current path of the file or directory.
+     * @param {string} destination - The new path of the file or directory, including its name.
+     * @param {boolean} [copy=false] - Whether to copy the file instead of moving it.
+     * @returns {Promise<boolean>} A promise that resolves to true once the file or directory has been moved or copied.
+     */
+    static async transferFile(source, path, destination, copy = false) {
+        const headers = {
+            'Destination': constructWebDavUrl(davEndpoint(destination, source), source),
+            'Overwrite': 'F'
+        };
+        await NextcloudFilePicker.makeNextcloudApiRequest(davEndpoint(path, source), copy ? 'COPY' : 'MOVE', null, headers, { source });
+        NextcloudFilePicker.invalidateDirectoryCache(source, destination);
+        if (!copy) {
+            NextcloudFilePicker.invalidateDirectoryCache(source, path);
+            await NextcloudLinkRegistry.relocate(source, path, destination).catch(error => logMessage('error', 'Failed to relocate the public links of the moved file', 'Link Registry', error));
         }
+        return true;
     }
     /**
-     * Retrieves data for the file picker UI, including files and directories from the Nextcloud source.
-     * @param {Object} [options={}] - Options for retrieving data.
-     * @returns {Promise<Object>} A promise that resolves to the data needed for rendering the file picker UI.
+     * Activates the event listeners of the file picker, adding the Nextcloud file context menu when browsing Nextcloud.
+     * @param {jQuery} html - The rendered HTML of the file picker.
      */
-    async getData(options = {}) {
-        let data = await super.getData(options);
-        if (this.activeSource === "nextcloud") {
-            const result = this.result;
-            const source = this.source;
-            let target = decodeURIComponent(source.target);
-            const isS3 = false;
+    activateListeners(html) {
+        super.activateListeners(html);
+        if (isNextcloudSource(this.activeSource) && this.canUpload) {
+            this._createFileContextMenu(html);
+            const upload = html.find('input[name="upload"]');
+            upload.attr('multiple', true);
+            const folderUpload = $(`<input type="file" name="uploadFolder" webkitdirectory hidden/>
+                <button type="button" class="nextcloud-upload-folder" data-tooltip="Upload Folder" style="flex: 0 0 32px;"><i class="fas fa-folder-plus"></i></button>`);
+            folderUpload.filter('button').click(() => folderUpload.filter('input')[0].click());
+            folderUpload.filter('input').change(this._onUploadFolder.bind(this));
+            upload.after(folderUpload);
+        }
+        if (isNextcloudSource(this.activeSource)) {
+            this._renderAccount(html);
+            this._renderSearchBar(html);
+            this._renderSortControls(html);
+            if (this._searchResults) this._renderSearchResults(html);
+            else if (this.displayMode === "list") this._renderFileDetails(html);
+            else this._observeThumbnails(html);
+        }
+        if (isNextcloudSource(this.activeSource) && !isRelayedClient(this.activeSource)) this._renderQuota(html);
+        this._renderUploadQueue(html);
+    }
+    /**
+     * Renders a bar showing the used and available storage of the Nextcloud account above the footer of the file picker.
+     * @param {jQuery} html - The rendered HTML of the file picker.
+     * @returns {Promise<void>} A promise that resolves once the quota has been displayed.
+     * @private
+     */
+    async _renderQuota(html) {
+        const source = this.activeSource;
+        let quota;
+        try {
+            quota = await NextcloudFilePicker.fetchQuota(source);
+        } catch (error) {
+            console.error('Error fetching Nextcloud quota:', error);
+            return;
+        }
+        if (this.activeSource !== source || quota.used === null) return;
+        html.find('.nextcloud-quota').remove();
+        const usage = quota.total ? `${formatFileSize(quota.used)} of ${formatFileSize(quota.total)} used` : `${formatFileSize(quota.used)} used`;
+        const tooltip = quota.available === null ? "No storage limit" : `${formatFileSize(quota.available)} available`;
+        const bar = $(`<div class="nextcloud-quota flexrow" style="align-items: center; gap: 4px; margin: 4px 0;" data-tooltip="${tooltip}">
+            <i class="fas fa-hard-drive" style="flex: 0;"></i>
+            ${quota.total ? `<progress style="flex: 3;" value="${quota.used}" max="${quota.total}"></progress>` : ''}
+            <span style="flex: 2; white-space: nowrap; text-align: right;">${usage}</span>
+        </div>`);
+        const footer = html.find('footer.form-footer');
+        if (footer.length) footer.before(bar);
+        else html.find('.filepicker-body').after(bar);
+    }
+    /**
+     * Runs a server-side WebDAV SEARCH for files within the configured Nextcloud subdirectory.
+     * @param {Object} [query={}] - The search criteria.
+     * @param {string} [query.name=''] - A part of the file name to search for.
+     * @param {string} [query.mimeType=''] - The mime type group to search for ("image", "audio" or "video").
+     * @param {string} [query.modifiedAfter=''] - Only find files modified after this date (YYYY-MM-DD).
+     * @returns {Promise<Object[]>} A promise that resolves to the files found, matching the allowed extensions of the file picker.
+     */
+    async searchFiles({ name = '', mimeType = '', modifiedAfter = '' } = {}) {
+        const conditions = [];
+        if (name) {
+            conditions.push(`<d:like><d:prop><d:displayname/></d:prop><d:literal>%${Handlebars.escapeExpression(name)}%</d:literal></d:like>`);
+        }
+        if (mimeType) {
+            conditions.push(`<d:like><d:prop><d:getcontenttype/></d:prop><d:literal>${mimeType}/%</d:literal></d:like>`);
+        }
+        if (modifiedAfter) {
+            const timestamp = Math.floor(new Date(modifiedAfter).getTime() / 1000);
+            conditions.push(`<d:gt><d:prop><d:getlastmodified/></d:prop><d:literal>${timestamp}</d:literal></d:gt>`);
+        }
+        let where = conditions.length > 1 ? `<d:and>${conditions.join('')}</d:and>` : conditions[0];
+        if (!where) where = '<d:like><d:prop><d:displayname/></d:prop><d:literal>%</d:literal></d:like>';
+        const { userName, subdirectory } = getAccount(this.activeSource);
+        const scope = [`/files/${userName}`, trimSlashes(subdirectory)].filterJoin('/');
+        const searchXml = `<?xml version="1.0"?>
+        <d:searchrequest xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+            <d:basicsearch>
+                <d:select>
+                    <d:prop>
+                        <d:displayname/>
+                        <d:resourcetype/>
+                        <d:getcontenttype/>
+                        <d:getlastmodified/>
+                        <oc:fileid/>
+                    </d:prop>
+                </d:select>
+                <d:from>
+                    <d:scope>
+                        <d:href>${scope}</d:href>
+                        <d:depth>infinity</d:depth>
+                    </d:scope>
+                </d:from>
+                <d:where>${where}</d:where>
+                <d:orderby/>
+                <d:limit>
+                    <d:nresults>${NextcloudFilePicker.SEARCH_LIMIT}</d:nresults>
+                </d:limit>
+            </d:basicsearch>
+        </d:searchrequest>`;
+        const xmlResponse = await NextcloudFilePicker.makeNextcloudApiRequest('remote.php/dav/', 'SEARCH', searchXml, { 'Content-Type': 'text/xml' }, { source: this.activeSource });
+        let files = this._parseWebDavResponse(xmlResponse).files;
+        if (this.type !== "any" && this.extensions.length) {
+            files = files.filter(file => this.extensions.some(ext => file.name.toLowerCase().endsWith(ext)));
+        }
+        return files.map(file => ({
+            name: file.name,
+            path: decodeURIComponent(file.href),
+            directory: decodeURIComponent(file.href).split('/').slice(0, -1).join('/')
+        }));
+    }
+    /**
+     * Renders which Nextcloud account is being browsed above the file list.
+     * @param {jQuery} html - The rendered HTML of the file picker.
+     * @private
+     */
+    _renderAccount(html) {
+        const account = getAccount(this.activeSource);
+        const owner = account.personal ? "your personal storage" : (this.activeSource === "nextcloud" ? "the world storage" : `the ${Handlebars.escapeExpression(this.source.label)} storage`);
+        const relayed = isRelayedClient(this.activeSource) ? " through the GM" : "";
+        html.find('.filepicker-body').before(`<div class="nextcloud-account notes" style="margin: 2px 0;">
+            <i class="fas ${account.personal ? 'fa-user' : 'fa-globe'}"></i> Browsing ${owner}${account.userName ? ` of <strong>${Handlebars.escapeExpression(account.userName)}</strong>` : ''}${relayed}
+        </div>`);
+    }
+    /**
+     * Renders the search bar of the Nextcloud source above the file list.
+     * @param {jQuery} html - The rendered HTML of the file picker.
+     * @private
+     */
+    _renderSearchBar(html) {
+        const query = this._searchQuery || { name: '', mimeType: { image: 'image', audio: 'audio', video: 'video' }[this.type] || '', modifiedAfter: '' };
+        const mimeTypes = { '': 'Any Type', image: 'Images', audio: 'Audio', video: 'Video' };
+        const options = Object.entries(mimeTypes).map(([value, label]) => `<option value="${value}" ${value === query.mimeType ? 'selected' : ''}>${label}</option>`).join('');
+        const searchBar = $(`<div class="form-group nextcloud-search" style="gap: 4px;">
+            <input type="search" name="searchName" placeholder="Search Nextcloud" value="${Handlebars.escapeExpression(query.name)}" style="flex: 3;"/>
+            <select name="searchMimeType" style="flex: 1;">${options}</select>
+            <input type="date" name="searchModifiedAfter" value="${query.modifiedAfter}" data-tooltip="Modified after" style="flex: 1;"/>
+            <button type="button" data-action="search" style="flex: 0 0 32px;"><i class="fas fa-search"></i></button>
+        </div>`);
+        const search = () => this._onSearch({
+            name: searchBar.find('[name="searchName"]').val().trim(),
+            mimeType: searchBar.find('[name="searchMimeType"]').val(),
+            modifiedAfter: searchBar.find('[name="searchModifiedAfter"]').val()
+        });
+        searchBar.find('[data-action="search"]').click(search);
+        searchBar.find('[name="searchName"]').keydown(ev => {
+            if (ev.key !== "Enter") return;
+            ev.preventDefault();
+            search();
+        });
+        html.find('.filepicker-body').before(searchBar);
+    }
+    /**
+     * Runs a search and displays its results in place of the current directory.
+     * @param {Object} query - The search criteria, see searchFiles.
+     * @private
+     */
+    async _onSearch(query) {
+        this._searchQuery = query;
+        this.showSpinner();
+        try {
+            this._searchResults = await this.searchFiles(query);
+        } catch (error) {
+            console.error('Error searching Nextcloud files:', error);
+            ui.notifications.error(`Failed to search your Nextcloud storage: ${describeNextcloudError(error)}`);
+            return;
+        } finally {
+            this.hideSpinner();
+        }
+        this.render(true);
+    }
+    /**
+     * Renders the search results as a flat list, where files can be selected or their directory opened.
+     * @param {jQuery} html - The rendered HTML of the file picker.
+     * @private
+     */
+    _renderSearchResults(html) {
+        const escape = Handlebars.escapeExpression;
+        const rows = this._searchResults.map(file => `<li class="file flexrow" data-path="${escape(file.path)}" data-name="${escape(file.name)}">
+            <span style="flex: 2; overflow: hidden; text-overflow: ellipsis;">${escape(file.name)}</span>
+            <span style="flex: 2; overflow: hidden; text-overflow: ellipsis; color: var(--color-text-dark-secondary);">${escape(file.directory || '/')}</span>
+            <a data-action="open-folder" data-tooltip="Open Folder" style="flex: 0 0 24px;"><i class="fas fa-folder-open"></i></a>
+        </li>`).join('');
+        const results = $(`<ol class="directory list nextcloud-search-results">
+            <li class="flexrow">
+                <strong>${this._searchResults.length} result(s)</strong>
+                <a data-action="clear-search" style="flex: 0; white-space: nowrap;"><i class="fas fa-times"></i> Clear Search</a>
+            </li>
+            ${rows}
+        </ol>`);
+        results.find('li.file').click(ev => {
+            results.find('li.file').removeClass('picked');
+            ev.currentTarget.classList.add('picked');
+            this.form.file.value = ev.currentTarget.dataset.path;
+        }).dblclick(ev => {
+            this.form.file.value = ev.currentTarget.dataset.path;
+            this.form.requestSubmit();
+        });
+        results.find('[data-action="open-folder"]').click(ev => {
+            ev.stopPropagation();
+            const file = this._searchResults.find(f => f.path === ev.currentTarget.closest('li').dataset.path);
+            this.browse(file.directory);
+        });
+        results.find('[data-action="clear-search"]').click(() => this.browse(this.target));
+        html.find('.filepicker-body').empty().append(results);
+    }
+    /**
+     * Creates the context menu offering delete, rename, move and copy actions for Nextcloud files and directories.
+     * @param {jQuery} html - The rendered HTML of the file picker.
+     * @private
+     */
+    _createFileContextMenu(html) {
+        new ContextMenu(html, ".file, .dir", [
+            {
+                name: "Rename",
+                icon: '<i class="fas fa-i-cursor"></i>',
+                callback: li => this._renameFileDialog(li[0].dataset.path)
+            },
+            {
+                name: "Move",
+                icon: '<i class="fas fa-arrow-right-arrow-left"></i>',
+                callback: li => this._transferFileDialog(li[0].dataset.path, false)
+            },
+            {
+                name: "Copy",
+                icon: '<i class="fas fa-copy"></i>',
+                callback: li => this._transferFileDialog(li[0].dataset.path, true)
+            },
+            {
+                name: "Delete",
+                icon: '<i class="fas fa-trash"></i>',
+                callback: li => this._deleteFileDialog(li[0].dataset.path)
+            }
+        ]);
+    }
+    /**
+     * Presents a dialog confirming the deletion of a Nextcloud file or directory.
+     * @param {string} path - The path of the file or directory to delete.
+     * @private
+     */
+    _deleteFileDialog(path) {
+        const name = decodeURIComponent(trimSlashes(path).split('/').pop());
+        return Dialog.confirm({
+            title: "Delete From Nextcloud",
+            content: `<p>Are you sure you want to delete <strong>${Handlebars.escapeExpression(name)}</strong> from Nextcloud?</p>
+                <p>Any public link to it will stop working for your players.</p>`,
+            yes: async () => {
+                try {
+                    await this.constructor.deleteFile(this.activeSource, path);
+                    ui.notifications.info(`Deleted: ${name}`);
+                } catch (error) {
+                    console.error('Error deleting file:', error);
+                    ui.notifications.error(`Failed to delete ${name}: ${describeNextcloudError(error)}`);
+                }
+                return this.browse(this.target);
+            },
+            defaultYes: false
+        });
+    }
+    /**
+     * Presents a dialog to rename a Nextcloud file or directory.
+     * @param {string} path - The path of the file or directory to rename.
+     * @private
+     */
+    _renameFileDialog(path) {
+        const parts = trimSlashes(path).split('/');
+        const name = parts.pop();
+        const form = `<form><div class="form-group">
+        <label>New Name</label>
+        <input type="text" name="name" value="${Handlebars.escapeExpression(name)}" required/>
+        </div></form>`;
+        return Dialog.confirm({
+            title: "Rename",
+            content: form,
+            yes: async html => {
+                const newName = html.querySelector("input").value.trim();
+                if (!newName || newName === name) return;
+                try {
+                    await this.constructor.transferFile(this.activeSource, path, [...parts, newName].filterJoin("/"));
+                    ui.notifications.info(`Renamed ${name} to ${newName}`);
+                } catch (error) {
+                    console.error('Error renaming file:', error);
+                    ui.notifications.error(`Failed to rename ${name}: ${describeNextcloudError(error)}`);
+                }
+                return this.browse(this.target);
+            },
+            options: {jQuery: false}
+        });
+    }
+    /**
+     * Presents a dialog to move or copy a Nextcloud file or directory to another directory.
+     * @param {string} path - The path of the file or directory to move or copy.
+     * @param {boolean} copy - Whether the file should be copied instead of moved.
+     * @private
+     */
+    _transferFileDialog(path, copy) {
+        const parts = trimSlashes(path).split('/');
+        const name = parts.pop();
+        const action = copy ? "Copy" : "Move";
+        const form = `<form>
+        <p>${action} <strong>${Handlebars.escapeExpression(name)}</strong> to the following directory:</p>
+        <div class="form-group">
+        <label>Destination Directory</label>
+        <input type="text" name="destination" value="${Handlebars.escapeExpression(parts.join('/'))}" placeholder="directory/sub-directory"/>
+        </div></form>`;
+        return Dialog.confirm({
+            title: action,
+            content: form,
+            yes: async html => {
+                const destination = [trimSlashes(html.querySelector("input").value), name].filterJoin("/");
+                try {
+                    await this.constructor.transferFile(this.activeSource, path, destination, copy);
+                    ui.notifications.info(`${copy ? "Copied" : "Moved"} ${name} to ${destination}`);
+                } catch (error) {
+                    console.error(`Error during file ${action.toLowerCase()}:`, error);
+                    ui.notifications.error(`Failed to ${action.toLowerCase()} ${name}: ${describeNextcloudError(error)}`);
+                }
+                return this.browse(this.target);
+            },
+            options: {jQuery: false}
+        });
+    }
+     /**
+     * Browses the target directory in Nextcloud and updates the file picker UI with the results.
+     * @param {string} [target=""] - The target directory to browse.
+     * @param {Object} [options={}] - Additional browsing options.
+     * @returns {Promise<Object>} A promise that resolves to the browsing result data.
+     */
+     async browse(target = "", options = {}) {
+        if (isNextcloudSource(this.activeSource)) {
+            this._searchResults = null;
+            this._cancelThumbnails();
+            const cached = NextcloudFilePicker.directoryCache.get(NextcloudFilePicker._directoryCacheKey(this.activeSource, target));
+            let data;
+            try {
+                data = cached ? cached.data : await this._fetchNextcloudFiles(target);
+            } catch (error) {
+                this.hideSpinner();
+                return this.handleNextcloudError(error);
+            }
+            const result = this._displayDirectory(target, data);
+            if (cached) this._revalidateDirectory(target, cached.etag);
+            return result;
+        } else {
+            const super_result=super.browse(target, options);
+            return super_result;
+        }
+    }
+    /**
+     * Checks in the background whether a directory displayed from the cache has changed in Nextcloud,
+     * and displays its new content if it did.
+     * @param {string} target - The directory displayed from the cache.
+     * @param {string|null} etag - The ETag of the cached directory listing.
+     * @private
+     */
+    async _revalidateDirectory(target, etag) {
+        const source = this.activeSource;
+        try {
+            const currentEtag = await NextcloudFilePicker.fetchDirectoryEtag(source, target);
+            if (etag && currentEtag === etag) return;
+            const data = await this._fetchNextcloudFiles(target, false);
+            if (this.activeSource !== source || this._searchResults || trimSlashes(this.target) !== trimSlashes(target)) return;
+            this._displayDirectory(target, data);
+        } catch (error) {
+            console.error('Error revalidating Nextcloud directory:', error);
+        }
+    }
+    /**
+     * Displays the listing of a Nextcloud directory in the file picker.
+     * @param {string} target - The directory being displayed.
+     * @param {Object} data - The parsed WebDAV listing of the directory.
+     * @returns {Object} The browsing result data.
+     * @private
+     */
+    _displayDirectory(target, data) {
+        const convertedData = this._convertToBrowseResults(data);
+        let filteredFiles = convertedData.files;
+        if (this.type !== "any" && this.extensions.length) {
+            filteredFiles = convertedData.files.filter(file => {
+                return this.extensions.some(ext => file.name.toLowerCase().endsWith(ext));
+            });
+        }
+        this.result = {
+            target: target,
+            private: false,
+            gridSize: null,
+            dirs: convertedData.dirs.map(dir => {
+                let dirName = dir.path;
+                return dirName;
+            }),
+            privateDirs: [],
+            files: filteredFiles.map(file => file.url),
+            extensions: this.extensions || []
+        };
+        this._entryDetails = Object.fromEntries([...convertedData.dirs, ...filteredFiles].map(entry => [entry.path, entry]));
+        this.constructor.LAST_BROWSED_DIRECTORY = this.result.target;
+        this._loaded = true;
+        try {
+            this.source.target = target;
+            this.render(true);
+            return this.result;
+        }
+        catch (error){
+        }
+    }
+    /**
+     * Retrieves data for the file picker UI, including files and directories from the Nextcloud source.
+     * @param {Object} [options={}] - Options for retrieving data.
+     * @returns {Promise<Object>} A promise that resolves to the data needed for rendering the file picker UI.
+     */
+    async getData(options = {}) {
+        let data = await super.getData(options);
+        if (isNextcloudSource(this.activeSource)) {
+            const result = this.result;
+            const source = this.source;
+            let target = decodeURIComponent(source.target);
+            const isS3 = false;
             let dirs = result.dirs.map(d => ({
                 name: decodeURIComponent(d.split("/").pop()),
                 path: d,
                 private: result.private || result.privateDirs.includes(d)
               }));
-              dirs = dirs.sort((a, b) => a.name.localeCompare(b.name));
+              dirs = this._sortEntries(dirs, dir => dir.path);
               let files = result.files.map(f => {
                 let img = ""; 
                 if ( VideoHelper.hasVideoExtension(f) ) img = "icons/svg/video.svg";
                 else if ( AudioHelper.hasAudioExtension(f) ) img = "icons/svg/sound.svg";
                 else if ( !ImageHelper.hasImageExtension(f) ) img = "icons/svg/book.svg";
                 else {
-                    img = NextcloudFilePicker.thumbnailCache[f] || img;
+                    const details = this._entryDetails?.[f];
+                    img = (details && NextcloudFilePicker.thumbnailCache.peek(`${this.activeSource}:${details.fileId}`, details.etag)) || img;
                 }
+                const details = this._entryDetails?.[f] || {};
                 return {
                   name: decodeURIComponent(f.split("/").pop()),
                   url: f,
-                  img: img
+                  img: img,
+                  size: details.size,
+                  modified: details.modified,
+                  contentType: details.contentType
                 };
               });
-            if (["thumbs", "tiles", "images"].includes(this.displayMode)) {
-                files.forEach((file, index) => {
-                    if (ImageHelper.hasImageExtension(file.name) && !NextcloudFilePicker.thumbnailCache[file.url]) {
-                        this.fetchImageAsBase64(file.name, 200).then(base64Image => {
-                            NextcloudFilePicker.thumbnailCache[file.url] = base64Image;
-                            files[index].img = base64Image;
-                            this.updateImageInDOM(file.name, base64Image);
-                        });
-                    }
-                });    
-            }
+              files = this._sortEntries(files, file => file.url);
             data =  {
                 bucket: isS3 ? source.bucket : null,
                 canGoBack: this.activeSource !== "",
@@ -713,9 +2881,7 @@ class NextcloudFilePicker extends FilePicker {
             };
         } 
         if (data.selected && this.isNextcloudUrl(data.selected)) {
-            
-            let nextcloudFilePaths = getSetting("nextcloudFilePaths");
-            const relativePath = nextcloudFilePaths[data.selected];
+            const relativePath = NextcloudLinkRegistry.get(data.selected)?.path;
             if (relativePath) {
                 data.selected = relativePath;
             } else {
@@ -725,133 +2891,2428 @@ class NextcloudFilePicker extends FilePicker {
         return data;
     }
     /**
-     * Checks if a given path is a Nextcloud URL.
-     * @param {string} path - The path or URL to check.
-     * @returns {boolean} True if it's a Nextcloud URL, false otherwise.
+     * The order in which the Nextcloud source lists its entries, remembered for each user.
+     * @type {{key: string, direction: number}}
+     */
+    get sortOrder() {
+        return game.user.getFlag('nextcloud-filepicker', 'sortOrder') ?? { key: "name", direction: 1 };
+    }
+    /**
+     * Sorts directory or file entries according to the sort order of the user.
+     * @param {Object[]} entries - The entries to sort.
+     * @param {Function} getPath - A function returning the path of an entry, used to look up its metadata.
+     * @returns {Object[]} The sorted entries.
+     * @private
+     */
+    _sortEntries(entries, getPath) {
+        const { key, direction } = this.sortOrder;
+        const details = entry => this._entryDetails?.[getPath(entry)] || {};
+        return entries.sort((a, b) => {
+            let comparison = 0;
+            switch (key) {
+                case "modified":
+                    comparison = (details(a).modified?.getTime() ?? 0) - (details(b).modified?.getTime() ?? 0);
+                    break;
+                case "size":
+                    comparison = (details(a).size ?? 0) - (details(b).size ?? 0);
+                    break;
+                case "type":
+                    comparison = (details(a).contentType || "").localeCompare(details(b).contentType || "");
+                    break;
+            }
+            return (comparison || a.name.localeCompare(b.name)) * direction;
+        });
+    }
+    /**
+     * Renders the sort controls of the Nextcloud source next to the search bar.
+     * @param {jQuery} html - The rendered HTML of the file picker.
+     * @private
+     */
+    _renderSortControls(html) {
+        const { key, direction } = this.sortOrder;
+        const keys = { name: "Name", modified: "Modified", size: "Size", type: "Type" };
+        const options = Object.entries(keys).map(([value, label]) => `<option value="${value}" ${value === key ? 'selected' : ''}>${label}</option>`).join('');
+        const controls = $(`<select name="sortKey" data-tooltip="Sort By" style="flex: 1;">${options}</select>
+            <button type="button" data-action="sort-direction" data-tooltip="${direction > 0 ? 'Ascending' : 'Descending'}" style="flex: 0 0 32px;">
+                <i class="fas ${direction > 0 ? 'fa-arrow-down-short-wide' : 'fa-arrow-down-wide-short'}"></i>
+            </button>`);
+        const setSortOrder = async sortOrder => {
+            await game.user.setFlag('nextcloud-filepicker', 'sortOrder', sortOrder);
+            this.render(true);
+        };
+        controls.filter('select').change(ev => setSortOrder({ key: ev.currentTarget.value, direction }));
+        controls.filter('button').click(() => setSortOrder({ key, direction: -direction }));
+        html.find('.nextcloud-search').append(controls);
+    }
+    /**
+     * Adds the size, modification date and type of each file to the "list" display mode.
+     * @param {jQuery} html - The rendered HTML of the file picker.
+     * @private
+     */
+    _renderFileDetails(html) {
+        html.find('.file').each((index, element) => {
+            const details = this._entryDetails?.[element.dataset.path];
+            if (!details) return;
+            $(element).append(`<span class="nextcloud-file-details flexrow" style="flex: 0 0 320px; color: var(--color-text-dark-secondary); font-size: var(--font-size-12);">
+                <span style="text-align: right;">${formatFileSize(details.size)}</span>
+                <span style="flex: 2; text-align: right;">${details.modified ? details.modified.toLocaleString() : ''}</span>
+                <span style="flex: 1.5; text-align: right; overflow: hidden; text-overflow: ellipsis;">${Handlebars.escapeExpression(details.contentType)}</span>
+            </span>`);
+        });
+    }
+    /**
+     * Observes the image files of the current directory, loading their thumbnails once they scroll into view.
+     * @param {jQuery} html - The rendered HTML of the file picker.
+     * @private
+     */
+    _observeThumbnails(html) {
+        if (this._thumbnailObserver) this._thumbnailObserver.disconnect();
+        const observer = new IntersectionObserver(entries => {
+            for (const entry of entries) {
+                if (!entry.isIntersecting) continue;
+                observer.unobserve(entry.target);
+                this._loadThumbnail(entry.target.dataset.path);
+            }
+        }, { rootMargin: "200px" });
+        html.find('.file').each((index, element) => {
+            const details = this._entryDetails?.[element.dataset.path];
+            if (!details?.fileId || !ImageHelper.hasImageExtension(details.name)) return;
+            if (NextcloudFilePicker.thumbnailCache.peek(`${this.activeSource}:${details.fileId}`, details.etag)) return;
+            observer.observe(element);
+        });
+        this._thumbnailObserver = observer;
+    }
+    /**
+     * Loads the thumbnail of an image file from the thumbnail cache, or queues it for download, and displays it.
+     * Pending thumbnails are cancelled when the user navigates to another directory or closes the file picker.
+     * @param {string} path - The path of the image file.
+     * @private
+     */
+    async _loadThumbnail(path) {
+        const details = this._entryDetails?.[path];
+        if (!this._thumbnailController) this._thumbnailController = new AbortController();
+        const signal = this._thumbnailController.signal;
+        try {
+            const cacheKey = `${this.activeSource}:${details.fileId}`;
+            let base64Image = await NextcloudFilePicker.thumbnailCache.get(cacheKey, details.etag);
+            if (!base64Image) {
+                base64Image = await NextcloudFilePicker.thumbnailQueue.enqueue(signal => this.fetchImageAsBase64(details.fileId, 200, signal), signal);
+                NextcloudFilePicker.thumbnailCache.set(cacheKey, details.etag, base64Image);
+            }
+            this.updateImageInDOM(details.name, base64Image);
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error('Error fetching thumbnail:', error);
+        }
+    }
+    /**
+     * Cancels the pending thumbnail downloads of the file picker.
+     * @private
+     */
+    _cancelThumbnails() {
+        if (this._thumbnailObserver) this._thumbnailObserver.disconnect();
+        if (this._thumbnailController) this._thumbnailController.abort();
+        this._thumbnailObserver = null;
+        this._thumbnailController = null;
+    }
+    /**
+     * Closes the file picker, cancelling its pending thumbnail downloads.
+     * @param {Object} [options={}] - Options for closing the file picker.
+     * @returns {Promise<void>} A promise that resolves once the file picker has been closed.
+     */
+    async close(options = {}) {
+        this._cancelThumbnails();
+        return super.close(options);
+    }
+    /**
+     * Checks if a given path is a Nextcloud URL.
+     * @param {string} path - The path or URL to check.
+     * @returns {boolean} True if it's a Nextcloud URL, false otherwise.
+     */
+    isNextcloudUrl(path) {
+        return !!getConnectionForUrl(path);
+    }
+    /**
+     * Extracts the filename from a full URL or path.
+     * @param {string} path - The full URL or path to the file.
+     * @returns {string} The extracted filename.
+     */
+    extractFileName(path) {
+        return decodeURIComponent(path.split('/').pop().split('?')[0]);
+    }
+    /**
+     * Updates the image source in the DOM for a given file name with the provided Base64 image data.
+     * @param {string} fileName - The name of the file for which to update the image.
+     * @param {string} base64Image - The Base64 encoded image data.
+     */
+    updateImageInDOM(fileName, base64Image) {
+        const fileElements = this.element.find(`.file[data-name="${fileName}"]`);
+        fileElements.each(function() {
+            const imgElement = $(this).find('img');
+            if (imgElement.length) {
+                imgElement.attr('src', base64Image);
+            }
+        });
+    }
+    /**
+     * Navigates back to the parent directory in the Nextcloud file picker UI.
+     */
+    goBack() {
+        if (isNextcloudSource(this.activeSource)) {
+            let parts = this.source.target.split('/').filter(Boolean);
+            parts.pop();
+            let parentPath = parts.join('/') || '';
+            this.browse(parentPath);
+        }
+    }
+    /**
+     * Converts Nextcloud XML data to a format compatible with FilePicker results.
+     * @param {Object} nextcloudData - The Nextcloud data to convert.
+     * @returns {Object} Formatted results with 'files' and 'dirs' arrays, keeping the metadata of each entry.
+     */
+    _convertToBrowseResults(nextcloudData) {
+        let dirs = [], files = [];
+        for (let dir of nextcloudData.directories) {       
+            if (!this._isSameDirectory(dir.href, nextcloudData.path)) {
+                dirs.push({
+                    name: decodeURIComponent(dir.name),
+                    path: decodeURIComponent(dir.href),
+                    private: false,
+                    size: dir.size,
+                    modified: dir.modified,
+                    contentType: dir.contentType,
+                    etag: dir.etag,
+                    fileId: dir.fileId
+                });
+            }
+        }
+        for (let file of nextcloudData.files) {
+            let thumbnail = file.thumbnail || (f => {
+                if (VideoHelper.hasVideoExtension(f)) return "icons/svg/video.svg";
+                else if (AudioHelper.hasAudioExtension(f)) return "icons/svg/sound.svg";
+                else if (!ImageHelper.hasImageExtension(f)) return "icons/svg/book.svg";
+            })(file.name);
+            files.push({
+                name: decodeURIComponent(file.name),
+                path: decodeURIComponent(file.href),
+                url: decodeURIComponent(file.href),
+                img: thumbnail,
+                size: file.size,
+                modified: file.modified,
+                contentType: file.contentType,
+                etag: file.etag,
+                fileId: file.fileId
+            });
+        }
+        return { dirs, files };
+    }
+    removeDavRootDir(dirHref) {
+        const { userName, subdirectory } = getAccount(this.activeSource);
+        const removalString=`/remote.php/dav/files/${userName}/${subdirectory}/`
+        const start = Math.max(dirHref.indexOf('/remote.php/dav/'), 0);
+        const newHref=dirHref.substring(start + removalString.length-1,dirHref.length);
+        return newHref;
+    }
+    /**
+     * Parses the XML response from the Nextcloud WebDAV API to extract file and directory information.
+     * @param {string} xml - The XML response as a string.
+     * @returns {Object} An object containing arrays of files and directories extracted from the response, with their size, modification date, content type, ETag and file ID.
+    */
+    _parseWebDavResponse(xml) {
+        const parser = new DOMParser();
+        const xmlDoc = parser.parseFromString(xml, "application/xml");
+        const files = [];
+        const directories = [];
+        const responses = xmlDoc.querySelectorAll("d\\:response, response");
+        responses.forEach(response => {
+            const href = this.removeDavRootDir(response.querySelector("d\\:href, href").textContent.replace(/\/$/,''));
+            const resType = response.querySelector("d\\:resourcetype, resourcetype");
+            const isDirectory = resType.querySelector("d\\:collection, collection") !== null;
+            const name = decodeURIComponent(href.split("/").pop());
+            const prop = (property) => response.querySelector(`d\\:${property}, oc\\:${property}, ${property}`)?.textContent || null;
+            const lastModified = prop("getlastmodified");
+            const details = {
+                size: Number(prop("getcontentlength") ?? prop("size") ?? 0),
+                modified: lastModified ? new Date(lastModified) : null,
+                contentType: prop("getcontenttype") || (isDirectory ? "httpd/unix-directory" : ""),
+                etag: prop("getetag")?.replace(/"/g, '') || null,
+                fileId: prop("fileid")
+            };
+            if (isDirectory) {
+                directories.push({ name, href, ...details });
+            } else {
+                files.push({ name, href, ...details });
+            }
+        });
+        return { files, directories };
+    }
+    /**
+     * Initializes and opens the FilePicker from a button click, handling any necessary setup.
+     * @param {HTMLElement} button - The button element that triggered the FilePicker.
+     * @returns {FilePicker} The instance of the FilePicker initialized from the button.
+     */
+    static fromButton(button) {
+        let type = button.getAttribute("data-type");
+        const form = button.form;
+        const field = form[button.dataset.target] || null;
+        let current = field?.value || "";
+        if (getConnectionForUrl(current) && !NextcloudLinkRegistry.get(current)) {
+            current = this.prototype.extractFileName(current);
+        }
+        return new FilePicker({ field, type, current, button });
+    }
+    /**
+     * Renders the FilePicker interface, updating the UI based on the current state and source.
+     * @param {boolean} [force=false] - Whether to force the rendering of the FilePicker.
+     * @param {Object} [options={}] - Options for rendering the FilePicker.
+     */
+    async render(force = false, options = {}) {
+        super.render(force, options);
+        setTimeout(() => {
+            if (isNextcloudSource(this.activeSource)) {
+                this.updatePublicLinkIcons();                
+            }
+        }, 0);
+    }
+}
+/**
+ * A GM-only window connecting the module to a Nextcloud account through the Nextcloud Login Flow v2,
+ * and revoking the app password of the account when disconnecting.
+ */
+class NextcloudConnect extends FormApplication {
+    static POLL_INTERVAL = 2000;
+    static POLL_DURATION = 20 * 60 * 1000;
+    /**
+     * Defines the default options for the connection window.
+     * @returns {Object} The default configuration options for the window.
+     */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "nextcloud-connect",
+            title: "Connect to Nextcloud",
+            template: "modules/nextcloud-filepicker/templates/nextcloud-connect.html",
+            width: 480,
+            height: "auto"
+        });
+    }
+    /**
+     * Retrieves the current connection state of the module.
+     * @param {Object} [options={}] - Options for retrieving data.
+     * @returns {Object} The data needed for rendering the window.
+     */
+    getData(options = {}) {
+        return {
+            url: this._url ?? getSetting('url'),
+            userName: getSetting('userName'),
+            connected: !!(getSetting('url') && getSetting('userName') && getAppPassword()),
+            status: this._status
+        };
+    }
+    /**
+     * Activates the event listeners of the connection window.
+     * @param {jQuery} html - The rendered HTML of the window.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="connect"]').click(this._onConnect.bind(this));
+        html.find('[data-action="disconnect"]').click(this._onDisconnect.bind(this));
+    }
+    /**
+     * Starts the Nextcloud Login Flow v2: opens the Nextcloud login page and waits for the user to grant access,
+     * then stores the server URL, login name and app password returned by Nextcloud.
+     * The tab is opened before any request so that the browser does not block it as a popup.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onConnect(ev) {
+        ev.preventDefault();
+        const url = this.element.find('[name="url"]').val().trim().replace(/\/+$/, '');
+        if (!url) return ui.notifications.warn("Enter the URL of your Nextcloud server first.");
+        this._url = url;
+        const loginWindow = window.open('', '_blank');
+        try {
+            const apiUrl = NextcloudConnect._apiUrl(url);
+            const response = await fetch(`${apiUrl}/index.php/login/v2`, { method: 'POST', credentials: 'omit' });
+            if (!response.ok) throw new Error(`Network response was not ok (${response.status}): ${response.statusText}`);
+            const { poll, login } = await response.json();
+            if (!loginWindow) throw new Error("The browser blocked the login tab, allow popups for Foundry VTT and try again.");
+            loginWindow.location.href = login;
+            this._setStatus("Log in to Nextcloud in the opened tab and grant access to Foundry VTT.");
+            const endpoint = poll.endpoint.startsWith(url) ? apiUrl + poll.endpoint.substring(url.length) : poll.endpoint;
+            const credentials = await this._pollLogin({ ...poll, endpoint });
+            if (!credentials) return this._setStatus("The login was not completed in time, please try again.");
+            await setSetting('url', credentials.server.replace(/\/+$/, ''));
+            await setSetting('userName', credentials.loginName);
+            await setAppPassword(credentials.appPassword);
+            this._url = null;
+            this._setStatus(null);
+            ui.notifications.info(`Connected to Nextcloud as ${credentials.loginName}.`);
+            this._refreshSettings();
+        } catch (error) {
+            console.error('Error connecting to Nextcloud:', error);
+            loginWindow?.close();
+            const message = error instanceof TypeError
+                ? "The server could not be reached.  Its CORS configuration has to allow the login flow (index.php/login/v2) from Foundry VTT, or set the Same-Origin Proxy URL and save the settings first."
+                : error.message;
+            this._setStatus(`Unable to connect to Nextcloud: ${message}`);
+        }
+    }
+    /**
+     * Determines the URL the login flow requests of a server are sent to: the same-origin proxy if one is configured for the server,
+     * since the WebAppPassword app does not cover the login flow endpoints, otherwise the server itself.
+     * @param {string} url - The URL of the Nextcloud server, without trailing slash.
+     * @returns {string} The URL to send the login flow requests to.
+     * @private
+     */
+    static _apiUrl(url) {
+        const proxyUrl = getSetting('proxyUrl').replace(/\/+$/, '');
+        const serverUrl = getSetting('url').replace(/\/+$/, '');
+        return proxyUrl && (!serverUrl || url === serverUrl) ? proxyUrl : url;
+    }
+    /**
+     * Polls the Login Flow v2 token endpoint until the user has granted access, the flow expired or the window was closed.
+     * @param {Object} poll - The poll token (token) and endpoint (endpoint) returned when starting the login flow.
+     * @returns {Promise<Object|null>} A promise that resolves to the server, login name and app password, or null if the login was not completed.
+     * @private
+     */
+    async _pollLogin(poll) {
+        const deadline = Date.now() + NextcloudConnect.POLL_DURATION;
+        while (Date.now() < deadline && this.rendered) {
+            await new Promise(resolve => setTimeout(resolve, NextcloudConnect.POLL_INTERVAL));
+            const response = await fetch(poll.endpoint, {
+                method: 'POST',
+                body: new URLSearchParams({ token: poll.token }),
+                credentials: 'omit'
+            });
+            if (response.ok) return response.json();
+            if (response.status !== 404) throw new Error(`Network response was not ok (${response.status}): ${response.statusText}`);
+        }
+        return null;
+    }
+    /**
+     * Revokes the app password on the Nextcloud server after confirmation and removes the account from the settings.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onDisconnect(ev) {
+        ev.preventDefault();
+        const proceed = await Dialog.confirm({
+            title: "Disconnect From Nextcloud",
+            content: "<p>Revoke the app password on your Nextcloud server and remove the account from the module settings? Existing public links keep working.</p>",
+            defaultYes: false
+        });
+        if (!proceed) return;
+        try {
+            const account = { ...getAccount(), userName: getSetting('userName'), appPassword: getAppPassword() };
+            await NextcloudFilePicker.makeNextcloudApiRequest('ocs/v2.php/core/apppassword', 'DELETE', null, {}, { account });
+        } catch (error) {
+            console.error('Error revoking app password:', error);
+            ui.notifications.warn("The app password could not be revoked on the server, remove it from your Nextcloud security settings.");
+        }
+        await setSetting('userName', '');
+        await setAppPassword('');
+        ui.notifications.info("Disconnected from Nextcloud.");
+        this._refreshSettings();
+    }
+    /**
+     * Displays a status message in the connection window.
+     * @param {string|null} status - The message to display, or null to clear it.
+     * @private
+     */
+    _setStatus(status) {
+        this._status = status;
+        if (this.rendered) this.render();
+    }
+    /**
+     * Re-renders the connection window and any open settings window so they show the new account settings.
+     * @private
+     */
+    _refreshSettings() {
+        if (this.rendered) this.render();
+        for (const app of Object.values(ui.windows)) {
+            if (app instanceof SettingsConfig) app.render();
+        }
+    }
+    /**
+     * The connection window has no form data to save; the account is stored once the login flow completes.
+     */
+    async _updateObject() {}
+}
+/**
+ * A GM-only window configuring additional Nextcloud connections, each shown as a separate source of the file picker.
+ * When the app passwords are kept on GM clients, the app passwords of the connections are stored in this browser only.
+ */
+class NextcloudConnectionsConfig extends FormApplication {
+    /**
+     * Defines the default options for the connections window.
+     * @returns {Object} The default configuration options for the window.
+     */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "nextcloud-connections",
+            title: "Nextcloud Connections",
+            template: "modules/nextcloud-filepicker/templates/nextcloud-connections.html",
+            width: 520,
+            height: "auto",
+            closeOnSubmit: true
+        });
+    }
+    /**
+     * Retrieves the configured connections, including their app passwords from this browser when they are kept on GM clients.
+     * @param {Object} [options={}] - Options for retrieving data.
+     * @returns {Object} The data needed for rendering the window.
+     */
+    getData(options = {}) {
+        if (!this._connections) {
+            const passwords = getSetting('secureConnectionPasswords');
+            this._connections = getSetting('connections').map(connection => ({
+                ...connection,
+                appPassword: getSetting('secureMode') ? (passwords[connection.id] ?? '') : connection.appPassword
+            }));
+        }
+        return { connections: this._connections };
+    }
+    /**
+     * Activates the event listeners of the connections window.
+     * @param {jQuery} html - The rendered HTML of the window.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="add"]').click(this._onAddConnection.bind(this));
+        html.find('[data-action="remove"]').click(this._onRemoveConnection.bind(this));
+    }
+    /**
+     * Reads the connections currently entered in the form.
+     * @returns {Object[]} The entered connections.
+     * @private
+     */
+    _readConnections() {
+        const data = expandObject(this._getSubmitData());
+        return Object.values(data.connections ?? {}).map(connection => ({
+            id: connection.id || foundry.utils.randomID(),
+            label: connection.label.trim(),
+            icon: connection.icon.trim(),
+            url: connection.url.trim().replace(/\/+$/, ''),
+            proxyUrl: connection.proxyUrl.trim().replace(/\/+$/, ''),
+            userName: connection.userName.trim(),
+            appPassword: connection.appPassword.trim(),
+            subdirectory: connection.subdirectory.trim()
+        }));
+    }
+    /**
+     * Adds an empty connection to the form.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    _onAddConnection(ev) {
+        ev.preventDefault();
+        this._connections = this._readConnections();
+        this._connections.push({ id: foundry.utils.randomID(), label: '', icon: '', url: '', proxyUrl: '', userName: '', appPassword: '', subdirectory: '' });
+        this.render();
+    }
+    /**
+     * Removes a connection from the form.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    _onRemoveConnection(ev) {
+        ev.preventDefault();
+        this._connections = this._readConnections();
+        this._connections.splice(Number(ev.currentTarget.dataset.index), 1);
+        this.render();
+    }
+    /**
+     * Saves the connections.  When the app passwords are kept on GM clients, they are stored in this browser instead of the world.
+     * @param {Event} event - The submit event.
+     * @param {Object} formData - The submitted form data.
+     * @returns {Promise} A promise that resolves once the connections have been saved.
+     */
+    async _updateObject(event, formData) {
+        const connections = this._readConnections();
+        if (getSetting('secureMode')) {
+            const passwords = Object.fromEntries(connections.map(connection => [connection.id, connection.appPassword]));
+            await setSetting('secureConnectionPasswords', passwords);
+            connections.forEach(connection => connection.appPassword = '');
+        }
+        NextcloudFilePicker.directoryCache.clear();
+        NextcloudFilePicker.apiModes.clear();
+        return setSetting('connections', connections);
+    }
+}
+/**
+ * A GM-only window testing a Nextcloud connection step by step: server reachability, authentication and capabilities,
+ * the WebAppPassword routes, and the CORS preflight of each request method used by the module.
+ * Each failed check explains what went wrong and how to fix it.
+ */
+class NextcloudDiagnostics extends FormApplication {
+    static TIMEOUT = 15000;
+    /**
+     * Defines the default options for the diagnostics window.
+     * @returns {Object} The default configuration options for the window.
+     */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "nextcloud-diagnostics",
+            title: "Nextcloud Diagnostics",
+            template: "modules/nextcloud-filepicker/templates/nextcloud-diagnostics.html",
+            width: 560,
+            height: "auto",
+            resizable: true
+        });
+    }
+    /**
+     * Retrieves the connections which can be tested and the results of the last test.
+     * @param {Object} [options={}] - Options for retrieving data.
+     * @returns {Object} The data needed for rendering the window.
+     */
+    getData(options = {}) {
+        const selected = this._source ?? 'nextcloud';
+        return {
+            connections: getConnections().map(connection => ({
+                source: connection.source,
+                label: connection.label,
+                selected: connection.source === selected
+            })),
+            origin: window.location.origin,
+            checks: this._checks ?? [],
+            running: !!this._running
+        };
+    }
+    /**
+     * Activates the event listeners of the diagnostics window.
+     * @param {jQuery} html - The rendered HTML of the window.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="test"]').click(this._onTest.bind(this));
+    }
+    /**
+     * Runs the checks for the selected connection, displaying each result as soon as it is known.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onTest(ev) {
+        ev.preventDefault();
+        if (this._running) return;
+        this._source = this.element.find('[name="source"]').val();
+        this._checks = [];
+        this._running = true;
+        this.render();
+        try {
+            await this._runChecks(this._source);
+        } catch (error) {
+            console.error('Error running Nextcloud diagnostics:', error);
+            this._addCheck("Diagnostics", false, `The diagnostics stopped unexpectedly: ${error.message}`);
+        } finally {
+            this._running = false;
+            this.render();
+        }
+    }
+    /**
+     * Records the result of a check.
+     * @param {string} name - The name of the check.
+     * @param {boolean|null} passed - Whether the check passed, or null if it could not be verified.
+     * @param {string} message - What the check found.
+     * @param {string} [hint=''] - How to fix a failed check.
+     * @returns {boolean|null} Whether the check passed.
+     * @private
+     */
+    _addCheck(name, passed, message, hint = '') {
+        this._checks.push({ name, passed, unverified: passed === null, message, hint });
+        this.render();
+        return passed;
+    }
+    /**
+     * Runs the checks of a connection in order, stopping when a check fails that later checks depend on.
+     * @param {string} source - The Nextcloud source of the connection.
+     * @returns {Promise<void>} A promise that resolves once the checks have finished.
+     * @private
+     */
+    async _runChecks(source) {
+        const { apiUrl: url, userName, appPassword } = getAccount(source);
+        const origin = window.location.origin;
+        if (!url) {
+            this._addCheck("Server URL", false, "The Nextcloud server URL is not set.", 'Enter the URL of your Nextcloud server in the module settings, or use "Connect to Nextcloud".');
+            return;
+        }
+        if (!await this._checkStatus(url, origin)) return;
+        if (!userName || !appPassword) {
+            this._addCheck("Authentication", false, "The user name or app password is not set.", 'Enter the user name and an app password in the module settings, or use "Connect to Nextcloud".');
+            return;
+        }
+        const authorization = { 'Authorization': 'Basic ' + btoa(`${userName}:${appPassword}`) };
+        if (!await this._checkCapabilities(url, authorization, origin)) return;
+        const apiMode = await this._checkWebAppPassword(url, authorization, origin) ? 'webapppassword' : 'stock';
+        const sharesEndpoint = NextcloudFilePicker.API_ENDPOINTS[apiMode].shares;
+        const davRoot = `${url}/${davEndpoint('', source)}`;
+        const searchBody = `<?xml version="1.0" encoding="UTF-8"?>
+            <d:searchrequest xmlns:d="DAV:">
+                <d:basicsearch>
+                    <d:select><d:prop><d:displayname/></d:prop></d:select>
+                    <d:from><d:scope><d:href>/files/${userName}</d:href><d:depth>infinity</d:depth></d:scope></d:from>
+                    <d:where><d:like><d:prop><d:displayname/></d:prop><d:literal>%</d:literal></d:like></d:where>
+                    <d:limit><d:nresults>1</d:nresults></d:limit>
+                </d:basicsearch>
+            </d:searchrequest>`;
+        const requests = [
+            { method: 'PROPFIND', url: davRoot, headers: { 'Depth': '0', 'Content-Type': 'text/xml' }, body: NextcloudFilePicker.PROPFIND_BODY, purpose: 'browsing' },
+            { method: 'SEARCH', url: `${url}/remote.php/dav/`, headers: { 'Content-Type': 'text/xml' }, body: searchBody, purpose: 'searching' }
+        ];
+        for (const request of requests) {
+            await this._checkPreflight(request, authorization, origin);
+        }
+        const writeRequests = [
+            { method: 'MKCOL', url: davRoot, headers: {}, purpose: 'creating directories' },
+            { method: 'PUT', url: davRoot, headers: { 'If-None-Match': '*', 'Content-Type': 'application/octet-stream' }, purpose: 'uploading' },
+            { method: 'POST', url: `${url}/${sharesEndpoint}`, headers: { 'OCS-APIRequest': 'true' }, purpose: 'creating public links' }
+        ];
+        for (const request of writeRequests) {
+            await this._checkWriteMethod(request, authorization, origin);
+        }
+    }
+    /**
+     * Checks that the server can be reached from this browser through its status.php page, which needs no authentication.
+     * @param {string} url - The Nextcloud server URL.
+     * @param {string} origin - The origin of Foundry VTT.
+     * @returns {Promise<boolean>} A promise that resolves to whether the check passed.
+     * @private
+     */
+    async _checkStatus(url, origin) {
+        const name = "Server Reachability";
+        const response = await NextcloudDiagnostics.probe(`${url}/status.php`, 'GET');
+        if (response.networkError) {
+            return this._addCheck(name, false, `${url}/status.php could not be loaded: ${response.error}`,
+                `Check that the URL is correct and that the server is reachable from this browser.  If it opens in a browser tab, the server does not allow requests from Foundry VTT: add the header "Access-Control-Allow-Origin: ${origin}" to your web server configuration.`);
+        }
+        let status = null;
+        try {
+            status = JSON.parse(response.body);
+        } catch (error) {}
+        if (!response.ok || !status?.installed) {
+            return this._addCheck(name, false, `${url}/status.php did not return the status of a Nextcloud server (HTTP ${response.status}).`,
+                "Use the root URL of your Nextcloud server, without /index.php or the path of a page.");
+        }
+        if (status.maintenance) {
+            return this._addCheck(name, false, `Nextcloud ${status.versionstring} is in maintenance mode.`,
+                'Wait until the maintenance is finished, or disable it with "occ maintenance:mode --off".');
+        }
+        return this._addCheck(name, true, `Nextcloud ${status.versionstring} is reachable.`);
+    }
+    /**
+     * Checks that the account can authenticate by retrieving the capabilities of the server, and that public links are enabled.
+     * @param {string} url - The Nextcloud server URL.
+     * @param {Object} authorization - The Authorization header of the account.
+     * @param {string} origin - The origin of Foundry VTT.
+     * @returns {Promise<boolean>} A promise that resolves to whether the account could authenticate.
+     * @private
+     */
+    async _checkCapabilities(url, authorization, origin) {
+        const name = "Authentication";
+        const request = { method: 'GET', url: `${url}/ocs/v2.php/cloud/capabilities?format=json`, headers: { 'OCS-APIRequest': 'true' }, body: null };
+        const response = await NextcloudDiagnostics.probe(request.url, request.method, { ...authorization, ...request.headers });
+        if (response.networkError) {
+            return this._addCheck(name, false, "The capabilities request was blocked by the browser.", await this._diagnosePreflight(request, authorization, origin));
+        }
+        if (response.status === 401) {
+            return this._addCheck(name, false, "The user name or app password was rejected.",
+                'Use the login name of the account and an app password that has not been revoked, or use "Connect to Nextcloud" to create a new one.');
+        }
+        let capabilities = null;
+        try {
+            capabilities = JSON.parse(response.body).ocs.data;
+        } catch (error) {}
+        if (!response.ok || !capabilities) {
+            return this._addCheck(name, false, `The capabilities endpoint responded with HTTP ${response.status}.`,
+                "Check the Nextcloud log for errors.");
+        }
+        this._addCheck(name, true, `Logged in successfully.  Nextcloud ${capabilities.version?.string ?? ''} capabilities retrieved.`);
+        if (capabilities.capabilities?.files_sharing?.public?.enabled === false) {
+            this._addCheck("Public Links", false, "Public links are disabled on the server, so players cannot see the selected files.",
+                'Enable "Allow users to share via link and emails" in Administration Settings -> Sharing.');
+        }
+        return true;
+    }
+    /**
+     * Checks that the routes of the WebAppPassword app respond.  Without the app, the module falls back to the standard Nextcloud endpoints,
+     * which only work if CORS is allowed by the web server or a same-origin proxy is used.
+     * @param {string} url - The Nextcloud server URL.
+     * @param {Object} authorization - The Authorization header of the account.
+     * @param {string} origin - The origin of Foundry VTT.
+     * @returns {Promise<boolean>} A promise that resolves to whether the check passed.
+     * @private
+     */
+    async _checkWebAppPassword(url, authorization, origin) {
+        const name = "WebAppPassword App";
+        const fallback = "Otherwise the standard Nextcloud endpoints are used, which need CORS to be allowed by your web server or a same-origin proxy.";
+        const response = await NextcloudDiagnostics.probe(`${url}/${NextcloudFilePicker.API_ENDPOINTS.webapppassword.shares}`, 'GET', { ...authorization, 'OCS-APIRequest': 'true' });
+        if (response.networkError) {
+            return this._addCheck(name, false, "The WebAppPassword shares route was blocked by the browser.",
+                `If the app is installed, add ${origin} to its allowed origins (Administration Settings -> WebAppPassword).  ${fallback}`);
+        }
+        if (response.status === 404 || !response.body.includes('<ocs>')) {
+            return this._addCheck(name, false, `The WebAppPassword shares route did not respond (HTTP ${response.status}).`,
+                `Install and enable the WebAppPassword app on your Nextcloud server for the public link and preview routes.  ${fallback}`);
+        }
+        this._addCheck(name, true, "The WebAppPassword shares route responds.");
+        const preview = await NextcloudDiagnostics.probe(`${url}/${NextcloudFilePicker.API_ENDPOINTS.webapppassword.preview}?fileId=0&x=32&y=32`, 'GET', authorization);
+        if (preview.networkError) {
+            this._addCheck("WebAppPassword Previews", false, "The WebAppPassword preview route was blocked by the browser, so the file picker shows no thumbnails.",
+                `Add ${origin} to the allowed origins of the app (Administration Settings -> WebAppPassword), or update the app to a version with the preview route.`);
+        } else if (preview.body.trimStart().startsWith('<')) {
+            this._addCheck("WebAppPassword Previews", false, `The WebAppPassword preview route did not respond (HTTP ${preview.status}), so the file picker shows no thumbnails.`,
+                "Update the WebAppPassword app to a version with the preview route.");
+        } else {
+            this._addCheck("WebAppPassword Previews", true, "The WebAppPassword preview route responds.");
+        }
+        return true;
+    }
+    /**
+     * Checks that the browser allows a request method of the module.  Any response of the server means the CORS preflight passed.
+     * @param {Object} request - The method, URL, headers, body and purpose of the request.
+     * @param {Object} authorization - The Authorization header of the account.
+     * @param {string} origin - The origin of Foundry VTT.
+     * @returns {Promise<boolean>} A promise that resolves to whether the check passed.
+     * @private
+     */
+    async _checkPreflight(request, authorization, origin) {
+        const name = `CORS: ${request.method}`;
+        const response = await NextcloudDiagnostics.probe(request.url, request.method, { ...authorization, ...request.headers }, request.body);
+        if (response.networkError) {
+            return this._addCheck(name, false, `${request.method} requests, used for ${request.purpose}, are blocked by the browser.`,
+                await this._diagnosePreflight(request, authorization, origin));
+        }
+        return this._addCheck(name, true, `${request.method} requests are allowed (HTTP ${response.status}).`);
+    }
+    /**
+     * Checks that the browser allows a request method of the module that writes to the server, without sending it.
+     * An OPTIONS request with the same headers tests the allowed headers, and the allowed methods are read from its response if the server exposes them.
+     * @param {Object} request - The method, URL, headers and purpose of the request.
+     * @param {Object} authorization - The Authorization header of the account.
+     * @param {string} origin - The origin of Foundry VTT.
+     * @returns {Promise<boolean|null>} A promise that resolves to whether the check passed, or null if the method could not be verified.
+     * @private
+     */
+    async _checkWriteMethod(request, authorization, origin) {
+        const name = `CORS: ${request.method}`;
+        const response = await NextcloudDiagnostics.probe(request.url, 'OPTIONS', { ...authorization, ...request.headers });
+        if (response.networkError) {
+            return this._addCheck(name, false, `The headers of ${request.method} requests, used for ${request.purpose}, are blocked by the browser.`,
+                await this._diagnosePreflight({ ...request, method: 'OPTIONS', body: null }, authorization, origin));
+        }
+        const allowed = response.headers.get('Access-Control-Allow-Methods');
+        if (allowed === null) {
+            return this._addCheck(name, null, `The headers of ${request.method} requests, used for ${request.purpose}, are allowed.  The method itself is not tested, so that nothing is written, and the server does not expose its allowed methods.`,
+                `Make sure "Access-Control-Allow-Methods" contains ${request.method}, or add "Access-Control-Expose-Headers: Access-Control-Allow-Methods" to let the diagnostics check it.`);
+        }
+        const methods = allowed.split(',').map(method => method.trim().toUpperCase());
+        if (!methods.includes(request.method) && !methods.includes('*')) {
+            return this._addCheck(name, false, `${request.method} requests, used for ${request.purpose}, are blocked by the browser.`,
+                `Add ${request.method} to the "Access-Control-Allow-Methods" header.`);
+        }
+        return this._addCheck(name, true, `${request.method} requests are allowed.`);
+    }
+    /**
+     * Finds out why the preflight of a request failed by repeating the request with fewer headers:
+     * without any header to test the method, with the Authorization header only, and then with each other header in turn.
+     * @param {Object} request - The method, URL, headers and body of the failed request.
+     * @param {Object} authorization - The Authorization header of the account.
+     * @param {string} origin - The origin of Foundry VTT.
+     * @returns {Promise<string>} A promise that resolves to a hint naming the missing CORS configuration.
+     * @private
+     */
+    async _diagnosePreflight(request, authorization, origin) {
+        const probe = headers => NextcloudDiagnostics.probe(request.url, request.method, headers, request.body);
+        if ((await probe({})).networkError) {
+            if (request.method === 'GET') {
+                return `The server does not send "Access-Control-Allow-Origin: ${origin}" for ${request.url}.`;
+            }
+            return `Add ${request.method} to the "Access-Control-Allow-Methods" header, and make sure the web server answers OPTIONS requests with "Access-Control-Allow-Origin: ${origin}" instead of passing them to Nextcloud.`;
+        }
+        if ((await probe(authorization)).networkError) {
+            return `Add Authorization to the "Access-Control-Allow-Headers" header.`;
+        }
+        for (const header of Object.keys(request.headers)) {
+            if ((await probe({ ...authorization, [header]: request.headers[header] })).networkError) {
+                return `Add ${header} to the "Access-Control-Allow-Headers" header.`;
+            }
+        }
+        return `Check that "Access-Control-Allow-Headers" contains ${['Authorization', ...Object.keys(request.headers)].join(', ')}.`;
+    }
+    /**
+     * Sends a request without throwing on failure, so that network and CORS errors can be told apart from error responses.
+     * @param {string} url - The URL of the request.
+     * @param {string} method - The HTTP method of the request.
+     * @param {Object} [headers={}] - The headers of the request.
+     * @param {*} [body=null] - The body of the request.
+     * @returns {Promise<Object>} A promise that resolves to the status (status, ok), headers (headers) and body (body) of the response, or to the error (networkError, error) if there was no response.
+     */
+    static async probe(url, method, headers = {}, body = null) {
+        try {
+            const response = await fetch(url, {
+                method: method,
+                headers: headers,
+                body: body,
+                credentials: 'omit',
+                signal: AbortSignal.timeout(NextcloudDiagnostics.TIMEOUT)
+            });
+            return { ok: response.ok, status: response.status, headers: response.headers, body: await response.text() };
+        } catch (error) {
+            const message = error.name === 'TimeoutError' ? `no response within ${NextcloudDiagnostics.TIMEOUT / 1000} seconds` : error.message;
+            return { networkError: true, error: message };
+        }
+    }
+    /**
+     * The diagnostics window has no form data to save.
+     */
+    async _updateObject() {}
+}
+/**
+ * A GM-only window listing the public links created by the module on every Nextcloud connection, allowing them to be expired or revoked.
+ */
+class NextcloudShareManager extends FormApplication {
+    /**
+     * Defines the default options for the public link manager.
+     * @returns {Object} The default configuration options for the window.
+     */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "nextcloud-share-manager",
+            title: "Nextcloud Public Links",
+            template: "modules/nextcloud-filepicker/templates/nextcloud-share-manager.html",
+            width: 720,
+            height: "auto",
+            resizable: true
+        });
+    }
+    /**
+     * Retrieves the public links of the module on every connection, those selected through the file picker or inside the subdirectory, and whether
+     * the world or its compendia still reference them.  Other public links of the accounts are not listed, so that they are never revoked here.
+     * @param {Object} [options={}] - Options for retrieving data.
+     * @returns {Promise<Object>} A promise that resolves to the data needed for rendering the window.
+     */
+    async getData(options = {}) {
+        const connections = getConnections();
+        const worldData = await collectWorldData();
+        const urls = NextcloudLinkRegistry.entries.map(entry => entry.url);
+        const shares = [];
+        const errors = [];
+        for (const { source, label } of connections) {
+            let connectionShares;
+            try {
+                const response = await NextcloudFilePicker.makeNextcloudApiRequest(await NextcloudFilePicker.apiEndpoint(source, 'shares'), 'GET', null, {}, { source });
+                connectionShares = parseShares(response).filter(share => share.shareType === 3);
+            } catch (error) {
+                console.error('Error fetching public links:', error);
+                errors.push({ label, message: describeNextcloudError(error) });
+                continue;
+            }
+            await NextcloudLinkRegistry.updateShares(source, connectionShares);
+            for (const share of connectionShares) {
+                const registered = NextcloudLinkRegistry.findByShareId(source, share.id).length > 0
+                    || urls.some(url => url === share.url || url.startsWith(`${share.url}/`));
+                if (!registered && !isInsideSubdirectory(share.path, source)) continue;
+                shares.push({
+                    ...share,
+                    source,
+                    connection: label,
+                    path: stripSubdirectory(share.path, source),
+                    created: share.created ? share.created.toLocaleDateString() : '',
+                    referenced: worldData.includes(share.url),
+                    registered
+                });
+            }
+        }
+        return {
+            errors: errors,
+            multipleConnections: connections.length > 1,
+            shares: shares.sort((a, b) => a.connection.localeCompare(b.connection) || a.path.localeCompare(b.path))
+        };
+    }
+    /**
+     * Activates the event listeners of the public link manager.
+     * @param {jQuery} html - The rendered HTML of the window.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[name="all"]').change(ev => html.find('[name="share"]').prop('checked', ev.currentTarget.checked));
+        html.find('[data-action="revoke"]').click(this._onRevoke.bind(this));
+        html.find('[data-action="expire"]').click(this._onSetExpiration.bind(this, false));
+        html.find('[data-action="clear-expiration"]').click(this._onSetExpiration.bind(this, true));
+    }
+    /**
+     * Retrieves the shares that are currently selected.
+     * @returns {Object[]} The Nextcloud source (source), ID (id) and URL (url) of each selected share.
+     * @private
+     */
+    _getSelectedShares() {
+        return this.element.find('[name="share"]:checked').map((index, element) => {
+            const separator = element.value.lastIndexOf('/');
+            return { source: element.value.substring(0, separator), id: element.value.substring(separator + 1), url: element.dataset.url };
+        }).get();
+    }
+    /**
+     * Revokes the selected public links after confirmation and removes their URLs from the Nextcloud file paths setting.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onRevoke(ev) {
+        ev.preventDefault();
+        const shares = this._getSelectedShares();
+        if (!shares.length) return ui.notifications.warn("No public links selected.");
+        const proceed = await Dialog.confirm({
+            title: "Revoke Public Links",
+            content: `<p>Revoke ${shares.length} public link(s)? Any image or sound in the world using them will stop working for your players.</p>`,
+            defaultYes: false
+        });
+        if (!proceed) return;
+        const revoked = [];
+        for (const { source, id, url } of shares) {
+            try {
+                await NextcloudFilePicker.makeNextcloudApiRequest(`${await NextcloudFilePicker.apiEndpoint(source, 'shares')}/${id}`, 'DELETE', null, {}, { source });
+                revoked.push(url);
+            } catch (error) {
+                console.error('Error revoking public link:', error);
+                ui.notifications.error(`Failed to revoke public link ${id}.`);
+            }
+        }
+        try {
+            await removeSharedFilePaths(revoked);
+        } catch (error) {
+            console.error('Error removing revoked public links:', error);
+            ui.notifications.error(`Failed to remove the revoked public links from the link registry: ${error.message}`);
+        }
+        ui.notifications.info(`Revoked ${revoked.length} public link(s).`);
+        this.render();
+    }
+    /**
+     * Sets or clears the expiration date of the selected public links.
+     * @param {boolean} clear - Whether to remove the expiration date instead of setting it.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onSetExpiration(clear, ev) {
+        ev.preventDefault();
+        const shares = this._getSelectedShares();
+        if (!shares.length) return ui.notifications.warn("No public links selected.");
+        const expireDate = clear ? '' : this.element.find('[name="expireDate"]').val();
+        if (!clear && !expireDate) return ui.notifications.warn("Choose an expiration date first.");
+        for (const { source, id } of shares) {
+            try {
+                await NextcloudFilePicker.makeNextcloudApiRequest(`${await NextcloudFilePicker.apiEndpoint(source, 'shares')}/${id}`, 'PUT', { expireDate }, {}, { source });
+            } catch (error) {
+                console.error('Error updating public link expiration:', error);
+                ui.notifications.error(`Failed to update the expiration of public link ${id}.`);
+            }
+        }
+        this.render();
+    }
+    /**
+     * The public link manager has no form data to save; changes are applied through its buttons.
+     */
+    async _updateObject() {}
+}
+/**
+ * A GM-only window checking every Nextcloud link used by the world and its compendia,
+ * listing the broken ones with the documents using them and sharing their files again.
+ */
+class NextcloudLinkAudit extends FormApplication {
+    static TIMEOUT = 15000;
+    /**
+     * @param {Object} [object={}] - Unused.
+     * @param {Object} [options={}] - Application options.
+     */
+    constructor(object = {}, options = {}) {
+        super(object, options);
+        this.links = new Map();
+        this.scanned = false;
+        this.scanning = false;
+        this.progress = '';
+        this.includeCompendia = true;
+        this.showWorking = false;
+    }
+    /**
+     * Defines the default options for the link audit.
+     * @returns {Object} The default configuration options for the window.
+     */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "nextcloud-link-audit",
+            title: "Nextcloud Link Audit",
+            template: "modules/nextcloud-filepicker/templates/nextcloud-link-audit.html",
+            width: 760,
+            height: "auto",
+            resizable: true
+        });
+    }
+    /**
+     * Prepares the checked links for rendering, broken links first.
+     * @param {Object} [options={}] - Options for retrieving data.
+     * @returns {Object} The data needed for rendering the window.
+     */
+    getData(options = {}) {
+        const order = { broken: 0, unknown: 1, ok: 2 };
+        const links = Array.from(this.links.values())
+            .filter(link => this.showWorking || link.state !== 'ok')
+            .sort((a, b) => order[a.state] - order[b.state] || a.url.localeCompare(b.url))
+            .map(link => ({
+                ...link,
+                isBroken: link.state === 'broken',
+                isUnknown: link.state === 'unknown',
+                canReshare: link.state === 'broken' && !!link.entry,
+                references: link.references.map(reference => ({ label: reference.label, uuid: reference.uuid, locked: reference.locked }))
+            }));
+        const count = state => Array.from(this.links.values()).filter(link => link.state === state).length;
+        return {
+            scanned: this.scanned,
+            scanning: this.scanning,
+            progress: this.progress,
+            includeCompendia: this.includeCompendia,
+            showWorking: this.showWorking,
+            links: links,
+            total: this.links.size,
+            broken: count('broken'),
+            unknown: count('unknown')
+        };
+    }
+    /**
+     * Activates the event listeners of the link audit.
+     * @param {jQuery} html - The rendered HTML of the window.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="scan"]').click(this._onScan.bind(this));
+        html.find('[data-action="reshare"]').click(this._onReshare.bind(this));
+        html.find('[name="includeCompendia"]').change(ev => this.includeCompendia = ev.currentTarget.checked);
+        html.find('[name="showWorking"]').change(ev => {
+            this.showWorking = ev.currentTarget.checked;
+            this.render();
+        });
+        html.find('[name="all"]').change(ev => html.find('[name="link"]').prop('checked', ev.currentTarget.checked));
+        html.find('[data-uuid]').click(async ev => {
+            ev.preventDefault();
+            const document = await fromUuid(ev.currentTarget.dataset.uuid);
+            document?.sheet?.render(true);
+        });
+    }
+    /**
+     * Scans the documents of the world, and optionally its compendia, for Nextcloud links and checks each link.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onScan(ev) {
+        ev.preventDefault();
+        if (this.scanning) return;
+        this.scanning = true;
+        this.links.clear();
+        this.progress = "Collecting documents...";
+        this.render();
+        try {
+            for (const document of await collectDocuments(this.includeCompendia)) {
+                const urls = findReferences(documentData(document), isNextcloudReference);
+                for (const url of urls) {
+                    if (!this.links.has(url)) {
+                        this.links.set(url, { url, state: null, status: null, references: [], entry: NextcloudLinkRegistry.get(url) ?? null });
+                    }
+                    this.links.get(url).references.push({ document, label: describeDocument(document), uuid: document.uuid, locked: !!document.compendium?.locked });
+                }
+            }
+            this.progress = "Listing public links...";
+            this.element.find('.audit-progress').text(this.progress);
+            const shares = new Map();
+            for (const source of new Set(Array.from(this.links.keys(), url => getConnectionForUrl(url)?.source).filter(Boolean))) {
+                try {
+                    const response = await NextcloudFilePicker.makeNextcloudApiRequest(await NextcloudFilePicker.apiEndpoint(source, 'shares'), 'GET', null, {}, { source });
+                    shares.set(source, parseShares(response).filter(share => share.shareType === 3));
+                } catch (error) {
+                    console.error('Error fetching public links:', error);
+                }
+            }
+            const queue = new NextcloudRequestQueue(4);
+            let checked = 0;
+            await Promise.all(Array.from(this.links.values()).map(link => queue.enqueue(async () => {
+                Object.assign(link, await NextcloudLinkAudit.checkLink(link.url, shares));
+                this.progress = `Checking links... ${++checked} / ${this.links.size}`;
+                this.element.find('.audit-progress').text(this.progress);
+            })));
+        } catch (error) {
+            console.error('Error auditing links:', error);
+            ui.notifications.error(`Failed to audit the world links: ${error.message}`);
+        } finally {
+            this.scanning = false;
+            this.scanned = true;
+            this.progress = '';
+            this.render();
+        }
+    }
+    /**
+     * Checks whether a public link still works.  The share of the link is looked up by its token among the public links
+     * listed by the authenticated shares API, and the file of a folder share is looked up through WebDAV.
+     * Links the shares API cannot tell about are checked with a HEAD request, which Nextcloud usually answers without CORS headers.
+     * @param {string} url - The public link to check.
+     * @param {Map<string, Object[]>} [shares=new Map()] - The public shares of each Nextcloud source, missing for sources that could not be listed.
+     * @returns {Promise<{state: string, status: number|null}>} A promise that resolves to the state of the link (ok, broken or unknown) and the HTTP status.
+     */
+    static async checkLink(url, shares = new Map()) {
+        const source = getConnectionForUrl(url)?.source;
+        const token = url.match(/\/s\/([^/?#]+)/)?.[1];
+        const listed = shares.get(source);
+        if (listed && token) {
+            const share = listed.find(share => share.token === token);
+            if (share) return NextcloudLinkAudit._checkSharedFile(url, share, source);
+            if (NextcloudLinkRegistry.get(url)?.shareId) return { state: 'broken', status: 404 };
+        }
+        try {
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store', signal: AbortSignal.timeout(NextcloudLinkAudit.TIMEOUT) });
+            return { state: response.ok ? 'ok' : 'broken', status: response.status };
+        } catch (error) {
+            return { state: 'unknown', status: null };
+        }
+    }
+    /**
+     * Checks that the file of a link to an existing share still exists.  Shares of files are removed together with their file,
+     * while a file inside a shared folder is looked up through WebDAV.
+     * @param {string} url - The public link.
+     * @param {Object} share - The share of the link.
+     * @param {string} source - The Nextcloud source of the share.
+     * @returns {Promise<{state: string, status: number|null}>} A promise that resolves to the state of the link and the HTTP status.
+     * @private
+     */
+    static async _checkSharedFile(url, share, source) {
+        const params = new URL(url).searchParams;
+        if (share.mimetype !== 'httpd/unix-directory' || !params.has('files')) return { state: 'ok', status: 200 };
+        const path = [stripSubdirectory(share.path, source), params.get('path') ?? '', params.get('files')].map(trimSlashes).filterJoin('/');
+        try {
+            await NextcloudFilePicker.makeNextcloudApiRequest(davEndpoint(path, source), 'PROPFIND', null, { 'Depth': '0' }, { source });
+            return { state: 'ok', status: 200 };
+        } catch (error) {
+            if (error instanceof NextcloudNotFoundError) return { state: 'broken', status: 404 };
+            return { state: 'unknown', status: error.status ?? null };
+        }
+    }
+    /**
+     * Shares the files of the selected broken links again and rewrites every reference to them.
+     * Files are looked up by their file ID first, so that files moved or renamed outside Foundry VTT are shared at their new path.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onReshare(ev) {
+        ev.preventDefault();
+        const links = this.element.find('[name="link"]:checked').map((index, element) => this.links.get(element.value)).get()
+            .filter(link => link.state === 'broken' && link.entry);
+        if (!links.length) return ui.notifications.warn("No broken links with a known file selected.");
+        const proceed = await Dialog.confirm({
+            title: "Share Again and Rewrite",
+            content: `<p>Create new public links for ${links.length} file(s) and replace the broken links in every document using them?</p>`,
+            defaultYes: false
+        });
+        if (!proceed) return;
+        const replacements = new Map();
+        for (const link of links) {
+            const { source, fileId } = link.entry;
+            try {
+                const path = (fileId && await NextcloudFilePicker.findPathByFileId(source, fileId).catch(() => null)) || link.entry.path;
+                const publicLink = await NextcloudFilePicker.sharePublicLink(source, path, fileId);
+                if (publicLink && publicLink !== link.url) replacements.set(link.url, publicLink);
+            } catch (error) {
+                console.error('Error sharing file again:', error);
+                ui.notifications.error(`Failed to share ${link.entry.path} again: ${describeNextcloudError(error)}`);
+            }
+        }
+        const documents = new Set(links.filter(link => replacements.has(link.url)).flatMap(link => link.references.map(reference => reference.document)));
+        let updated = 0, skipped = 0;
+        for (const document of documents) {
+            if (document.compendium?.locked) {
+                skipped++;
+                continue;
+            }
+            try {
+                if (await rewriteReferences(document, replacements)) updated++;
+            } catch (error) {
+                console.error('Error rewriting links:', error);
+                skipped++;
+            }
+        }
+        await NextcloudLinkRegistry.removeUrls(Array.from(replacements.keys()));
+        replacements.forEach((publicLink, url) => this.links.delete(url));
+        ui.notifications.info(`Shared ${replacements.size} of ${links.length} file(s) again and updated ${updated} document(s).${skipped ? `  ${skipped} document(s) could not be updated, such as documents of locked compendia.` : ""}`);
+        this.render();
+    }
+    async _updateObject() {}
+}
+/**
+ * A GM-only wizard moving the files of folders of the Foundry VTT data storage to Nextcloud.
+ * The directory structure is mirrored below a Nextcloud folder, the referenced files are shared,
+ * and the documents using them are updated, keeping an undo log of every updated document.
+ */
+class NextcloudMigration extends FormApplication {
+    /**
+     * @param {Object} [object={}] - Unused.
+     * @param {Object} [options={}] - Application options.
+     */
+    constructor(object = {}, options = {}) {
+        super(object, options);
+        this.folders = [];
+        this.source = 'nextcloud';
+        this.target = 'Foundry VTT';
+        this.includeCompendia = true;
+        this.plan = null;
+        this.running = false;
+        this.progress = '';
+    }
+    /**
+     * Defines the default options for the migration wizard.
+     * @returns {Object} The default configuration options for the window.
+     */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "nextcloud-migration",
+            title: "Migrate to Nextcloud",
+            template: "modules/nextcloud-filepicker/templates/nextcloud-migration.html",
+            width: 720,
+            height: "auto",
+            resizable: true
+        });
+    }
+    /**
+     * Prepares the chosen folders, the dry run report and the undo log for rendering.
+     * @param {Object} [options={}] - Options for retrieving data.
+     * @returns {Object} The data needed for rendering the window.
+     */
+    getData(options = {}) {
+        return {
+            connections: getConnections().map(connection => ({ ...connection, selected: connection.source === this.source })),
+            folders: this.folders,
+            target: this.target,
+            includeCompendia: this.includeCompendia,
+            running: this.running,
+            progress: this.progress,
+            plan: this.plan && {
+                files: this.plan.files.map(file => ({
+                    localPath: file.localPath,
+                    target: `${file.directory}/${file.name}`,
+                    references: file.references.map(reference => ({ label: reference.label, uuid: reference.uuid }))
+                })),
+                referenced: this.plan.files.filter(file => file.references.length).length,
+                documents: this.plan.documents.size,
+                locked: Array.from(this.plan.documents).filter(document => document.compendium?.locked).length
+            },
+            log: getSetting('migrationLog').slice().reverse().map(run => ({ ...run, date: new Date(run.date).toLocaleString() }))
+        };
+    }
+    /**
+     * Activates the event listeners of the migration wizard.
+     * @param {jQuery} html - The rendered HTML of the window.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="add-folder"]').click(this._onAddFolder.bind(this));
+        html.find('[data-action="remove-folder"]').click(ev => {
+            this._readForm();
+            this.folders.splice(Number(ev.currentTarget.dataset.index), 1);
+            this.plan = null;
+            this.render();
+        });
+        html.find('[data-action="dry-run"]').click(this._onDryRun.bind(this));
+        html.find('[data-action="migrate"]').click(this._onMigrate.bind(this));
+        html.find('[data-action="undo"]').click(this._onUndo.bind(this));
+        html.find('[data-uuid]:not([data-action])').click(async ev => {
+            ev.preventDefault();
+            const document = await fromUuid(ev.currentTarget.dataset.uuid);
+            document?.sheet?.render(true);
+        });
+    }
+    /**
+     * Reads the connection, target folder and compendia option from the form.
+     * @private
+     */
+    _readForm() {
+        const form = this.element.find('form')[0];
+        if (!form) return;
+        this.source = form.source.value;
+        this.target = trimSlashes(form.target.value.trim());
+        this.includeCompendia = form.includeCompendia.checked;
+    }
+    /**
+     * Opens a file picker of the data storage to add a folder to migrate.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    _onAddFolder(ev) {
+        ev.preventDefault();
+        this._readForm();
+        new FilePicker({
+            type: "folder",
+            activeSource: "data",
+            callback: path => {
+                const folder = trimSlashes(path);
+                if (!folder || this.folders.includes(folder)) return;
+                this.folders.push(folder);
+                this.plan = null;
+                this.render();
+            }
+        }).render(true);
+    }
+    /**
+     * Lists the files to migrate and the documents referencing them.
+     * @returns {Promise<Object>} A promise that resolves to the files, each with its local path, Nextcloud directory, name and referencing documents, and the referencing documents.
+     * @private
+     */
+    async _createPlan() {
+        const decode = path => {
+            try {
+                return decodeURIComponent(path);
+            } catch (error) {
+                return path;
+            }
+        };
+        const files = new Map();
+        const browse = async folder => {
+            const result = await FilePicker.browse("data", folder);
+            for (const path of result.files) {
+                const localPath = trimSlashes(decode(path));
+                const parts = localPath.split('/');
+                const name = parts.pop();
+                files.set(localPath, { path: path, localPath: localPath, directory: [this.target, ...parts].filterJoin('/'), name: name, references: [] });
+            }
+            for (const dir of result.dirs) await browse(dir);
+        };
+        for (const folder of this.folders) {
+            this.progress = `Listing ${folder}...`;
+            this.element.find('.migration-progress').text(this.progress);
+            await browse(folder);
+        }
+        this.progress = "Looking for references...";
+        this.element.find('.migration-progress').text(this.progress);
+        const documents = new Set();
+        const lookup = reference => files.has(trimSlashes(decode(reference)));
+        for (const document of await collectDocuments(this.includeCompendia)) {
+            for (const reference of findReferences(documentData(document), lookup)) {
+                files.get(trimSlashes(decode(reference))).references.push({ document, label: describeDocument(document), uuid: document.uuid });
+                documents.add(document);
+            }
+        }
+        return { files: Array.from(files.values()).sort((a, b) => a.localPath.localeCompare(b.localPath)), documents };
+    }
+    /**
+     * Lists the files that would be migrated and the documents that would be updated, without changing anything.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onDryRun(ev) {
+        ev.preventDefault();
+        this._readForm();
+        if (!this.folders.length) return ui.notifications.warn("Add at least one folder to migrate.");
+        await this._run(async () => {
+            this.plan = await this._createPlan();
+        });
+    }
+    /**
+     * Uploads the files of the chosen folders to Nextcloud, shares the referenced ones and updates the documents using them.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onMigrate(ev) {
+        ev.preventDefault();
+        this._readForm();
+        if (!this.folders.length) return ui.notifications.warn("Add at least one folder to migrate.");
+        await this._run(async () => {
+            const plan = this.plan = await this._createPlan();
+            const proceed = await Dialog.confirm({
+                title: "Migrate to Nextcloud",
+                content: `<p>Upload ${plan.files.length} file(s) to <strong>${Handlebars.escapeExpression(this.target || "/")}</strong> on ${Handlebars.escapeExpression(getConnection(this.source).label)}, create public links for the ${plan.files.filter(file => file.references.length).length} file(s) used by the world and update ${plan.documents.size} document(s)?</p><p>The local files are not deleted.</p>`,
+                defaultYes: false
+            });
+            if (!proceed) return;
+            const directories = new Set();
+            plan.files.forEach(file => file.directory.split('/').forEach((part, index, parts) => directories.add(parts.slice(0, index + 1).join('/'))));
+            for (const directory of Array.from(directories).filter(Boolean).sort()) {
+                await NextcloudFilePicker.ensureDirectory(this.source, directory);
+            }
+            const replacements = new Map();
+            const failed = [];
+            for (const [index, file] of plan.files.entries()) {
+                this.progress = `Uploading ${index + 1} / ${plan.files.length}: ${file.localPath}`;
+                this.element.find('.migration-progress').text(this.progress);
+                try {
+                    const blob = await (await fetch(file.path)).blob();
+                    await NextcloudFilePicker.upload(this.source, file.directory, new File([blob], file.name, { type: blob.type }), {}, { overwrite: false });
+                } catch (error) {
+                    if (error.status !== 412) {
+                        failed.push(file.localPath);
+                        continue;
+                    }
+                }
+                if (!file.references.length) continue;
+                let publicLink = null;
+                try {
+                    publicLink = await NextcloudFilePicker.sharePublicLink(this.source, `${file.directory}/${file.name}`);
+                } catch (error) {
+                    console.error('Error creating public link:', error);
+                }
+                if (!publicLink) {
+                    failed.push(file.localPath);
+                    continue;
+                }
+                for (const reference of new Set([file.path, file.localPath, encodeURI(file.localPath)])) {
+                    replacements.set(`/${reference}`, publicLink);
+                    replacements.set(reference, publicLink);
+                }
+            }
+            this.progress = "Updating documents...";
+            this.element.find('.migration-progress').text(this.progress);
+            const run = { id: randomID(), date: new Date().toISOString(), source: this.source, target: this.target, files: plan.files.length - failed.length, documents: [] };
+            for (const document of plan.documents) {
+                if (document.compendium?.locked) continue;
+                try {
+                    const update = await rewriteReferences(document, replacements);
+                    if (update) run.documents.push({ uuid: document.uuid, label: describeDocument(document), ...update });
+                } catch (error) {
+                    console.error('Error updating document:', error);
+                }
+            }
+            if (run.documents.length) await setSetting('migrationLog', [...getSetting('migrationLog'), run]);
+            this.plan = null;
+            if (failed.length) ui.notifications.warn(`${failed.length} file(s) could not be migrated: ${failed.join(', ')}`);
+            ui.notifications.info(`Migrated ${run.files} file(s) and updated ${run.documents.length} document(s).`);
+        });
+    }
+    /**
+     * Restores the references of one document, or of every document of a migration, from the undo log.
+     * Fields edited since the migration are kept, only those still holding the migrated value are restored.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onUndo(ev) {
+        ev.preventDefault();
+        const { run: runId, uuid } = ev.currentTarget.dataset;
+        const log = getSetting('migrationLog');
+        const run = log.find(entry => entry.id === runId);
+        if (!run) return;
+        const entries = run.documents.filter(entry => !uuid || entry.uuid === uuid);
+        if (!uuid && !await Dialog.confirm({
+            title: "Undo Migration",
+            content: `<p>Restore the local file references of ${entries.length} document(s)?  The files uploaded to Nextcloud and their public links are kept.</p>`,
+            defaultYes: false
+        })) return;
+        await this._run(async () => {
+            for (const entry of entries) {
+                const document = await fromUuid(entry.uuid);
+                if (!document) {
+                    ui.notifications.warn(`${entry.label} no longer exists.`);
+                } else {
+                    const current = flattenObject(documentData(document));
+                    const changes = flattenObject(entry.changes);
+                    const undo = Object.entries(flattenObject(entry.undo));
+                    const unchanged = undo.filter(([key]) => objectsEqual(current[key], changes[key]));
+                    if (unchanged.length < undo.length) {
+                        ui.notifications.warn(`${entry.label} was edited after the migration, ${undo.length - unchanged.length} of its field(s) are kept.`);
+                    }
+                    try {
+                        if (unchanged.length) await document.update(Object.fromEntries(unchanged));
+                    } catch (error) {
+                        console.error('Error restoring document:', error);
+                        ui.notifications.error(`Failed to restore ${entry.label}: ${error.message}`);
+                        continue;
+                    }
+                }
+                run.documents.splice(run.documents.indexOf(entry), 1);
+            }
+            await setSetting('migrationLog', log.filter(entry => entry.documents.length));
+            ui.notifications.info(`Restored ${entries.length} document(s).`);
+        });
+    }
+    /**
+     * Runs a step of the wizard, showing its progress and reporting its errors.
+     * @param {Function} task - The step to run.
+     * @returns {Promise<void>} A promise that resolves once the step is complete.
+     * @private
+     */
+    async _run(task) {
+        if (this.running) return;
+        this.running = true;
+        this.progress = '';
+        this.render();
+        try {
+            await task();
+        } catch (error) {
+            console.error('Error migrating to Nextcloud:', error);
+            ui.notifications.error(`Migration failed: ${describeNextcloudError(error)}`);
+        } finally {
+            this.running = false;
+            this.progress = '';
+            this.render();
+        }
+    }
+    async _updateObject() {}
+}
+/**
+ * A GM-only window copying the Nextcloud files used by the world, or by a scene, into the Foundry VTT data storage
+ * and switching the documents between the local copies and the Nextcloud links.
+ * The Nextcloud link and path of each local copy are recorded, so that the documents can always be switched back.
+ */
+class NextcloudLocalization extends FormApplication {
+    /**
+     * Defines the default options for the offline copies window.
+     * @returns {Object} The default configuration options for the window.
+     */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "nextcloud-localization",
+            title: "Nextcloud Offline Copies",
+            template: "modules/nextcloud-filepicker/templates/nextcloud-localization.html",
+            width: 480,
+            height: "auto"
+        });
+    }
+    /**
+     * Prepares the number of local copies for rendering.
+     * @param {Object} [options={}] - Options for retrieving data.
+     * @returns {Object} The data needed for rendering the window.
+     */
+    getData(options = {}) {
+        return {
+            folder: getSetting('localizeFolder'),
+            count: Object.keys(getSetting('localizedFiles')).length,
+            running: !!this.running
+        };
+    }
+    /**
+     * Activates the event listeners of the offline copies window.
+     * @param {jQuery} html - The rendered HTML of the window.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="localize"]').click(this._onRun.bind(this, NextcloudLocalization.localize));
+        html.find('[data-action="restore"]').click(this._onRun.bind(this, NextcloudLocalization.restore));
+    }
+    /**
+     * Localizes or restores the whole world.
+     * @param {Function} command - The command to run on the documents of the world.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onRun(command, ev) {
+        ev.preventDefault();
+        if (this.running) return;
+        this.running = true;
+        this.render();
+        try {
+            await command(await collectDocuments());
+        } catch (error) {
+            logMessage('error', 'Failed to update the offline copies', 'Offline Copies', error);
+            ui.notifications.error(`Failed to update the offline copies: ${describeNextcloudError(error)}`);
+        } finally {
+            this.running = false;
+            this.render();
+        }
+    }
+    /**
+     * Downloads the Nextcloud files used by documents into the data storage and points the documents to the local copies.
+     * Files downloaded before are not downloaded again.
+     * @param {foundry.abstract.Document[]} documents - The documents to localize, including their embedded documents.
+     * @returns {Promise<void>} A promise that resolves once the documents are updated.
+     */
+    static async localize(documents) {
+        const urls = new Set(documents.flatMap(document => findReferences(documentData(document), isNextcloudReference)));
+        if (!urls.size) return ui.notifications.info("No Nextcloud files are used here.");
+        ui.notifications.info(`Downloading ${urls.size} Nextcloud file(s)...`);
+        const localizedFiles = getSetting('localizedFiles');
+        const directories = new Set();
+        const replacements = new Map();
+        let failed = 0;
+        for (const url of urls) {
+            if (!localizedFiles[url]) {
+                try {
+                    const filePath = NextcloudLinkRegistry.get(url);
+                    const fileName = NextcloudFilePicker.prototype.extractFileName(url);
+                    const parts = filePath
+                        ? [getSetting('localizeFolder'), filePath.source, ...trimSlashes(filePath.path).split('/').slice(0, -1)]
+                        : [getSetting('localizeFolder'), getConnectionForUrl(url).source, 'links', url.match(/\/s\/([^/?]+)/)?.[1] ?? 'unknown'];
+                    const directory = parts.map(trimSlashes).filterJoin('/');
+                    await NextcloudLocalization._ensureDataDirectory(directory, directories);
+                    const blob = await NextcloudLocalization._download(url, filePath);
+                    const result = await FilePicker.upload('data', directory, new File([blob], fileName, { type: blob.type }), {}, { notify: false });
+                    if (!result?.path) throw new Error(result?.message ?? 'The file could not be saved.');
+                    localizedFiles[url] = { localPath: result.path, path: filePath?.path ?? null, source: filePath?.source ?? getConnectionForUrl(url).source };
+                } catch (error) {
+                    console.error('Error localizing file:', error);
+                    failed++;
+                    continue;
+                }
+            }
+            replacements.set(url, localizedFiles[url].localPath);
+        }
+        await setSetting('localizedFiles', localizedFiles);
+        const updated = await NextcloudLocalization._rewrite(documents, replacements);
+        if (failed) ui.notifications.warn(`${failed} Nextcloud file(s) could not be downloaded and still use their Nextcloud link.`);
+        ui.notifications.info(`Localized ${replacements.size} file(s) and updated ${updated} document(s).`);
+    }
+    /**
+     * Downloads a Nextcloud file, through the authenticated WebDAV API if the link registry knows its path,
+     * otherwise from the public link, which requires CORS headers on public links.
+     * @param {string} url - The public link of the file.
+     * @param {Object|undefined} filePath - The link registry entry of the file.
+     * @returns {Promise<Blob>} A promise that resolves to the content of the file.
+     * @private
+     */
+    static async _download(url, filePath) {
+        if (filePath) {
+            return NextcloudFilePicker.makeNextcloudApiRequest(davEndpoint(filePath.path, filePath.source), 'GET', null, {}, { responseType: 'blob', source: filePath.source });
+        }
+        const response = await fetch(url, { signal: AbortSignal.timeout(NextcloudFilePicker.REQUEST_TIMEOUT) });
+        if (!response.ok) throw NextcloudError.fromResponse(response);
+        return response.blob();
+    }
+    /**
+     * Points documents using local copies of Nextcloud files back to the Nextcloud links.  The local copies are kept.
+     * @param {foundry.abstract.Document[]} documents - The documents to restore, including their embedded documents.
+     * @returns {Promise<void>} A promise that resolves once the documents are updated.
+     */
+    static async restore(documents) {
+        const replacements = new Map(Object.entries(getSetting('localizedFiles')).map(([url, file]) => [file.localPath, url]));
+        const updated = await NextcloudLocalization._rewrite(documents, replacements);
+        ui.notifications.info(`Restored the Nextcloud links of ${updated} document(s).`);
+    }
+    /**
+     * Replaces references in documents, skipping documents of locked compendia.
+     * @param {foundry.abstract.Document[]} documents - The documents to update.
+     * @param {Map<string, string>} replacements - The new reference of each replaced reference.
+     * @returns {Promise<number>} A promise that resolves to the number of updated documents.
+     * @private
+     */
+    static async _rewrite(documents, replacements) {
+        let updated = 0;
+        if (!replacements.size) return updated;
+        for (const document of documents) {
+            if (document.compendium?.locked) continue;
+            try {
+                if (await rewriteReferences(document, replacements)) updated++;
+            } catch (error) {
+                console.error('Error updating document:', error);
+            }
+        }
+        return updated;
+    }
+    /**
+     * Creates a directory of the data storage and its parents, unless they were created before.
+     * @param {string} directory - The path of the directory.
+     * @param {Set<string>} created - The directories created or found so far.
+     * @returns {Promise<void>} A promise that resolves once the directory exists.
+     * @private
+     */
+    static async _ensureDataDirectory(directory, created) {
+        const parts = directory.split('/');
+        for (let index = 1; index <= parts.length; index++) {
+            const path = parts.slice(0, index).join('/');
+            if (created.has(path)) continue;
+            try {
+                await FilePicker.createDirectory('data', path, { notify: false });
+            } catch (error) {
+                await FilePicker.browse('data', path).catch(() => {
+                    throw error;
+                });
+            }
+            created.add(path);
+        }
+    }
+    async _updateObject() {}
+}
+/**
+ * The registry of the public links selected through the file picker, recording the Nextcloud source, path, share ID and file ID of each link.
+ * Entries are spread over several world settings by a hash of their URL, so that recording a link only rewrites a small part of the registry,
+ * and are indexed by URL, path, share ID and file ID.  Players, who cannot change world settings, record their links through a connected GM,
+ * which only accepts links of real shares of the path.
+ */
+class NextcloudLinkRegistry {
+    static SHARDS = 16;
+    static VERSION = 1;
+    static _entries = null;
+    static _pending = Promise.resolve();
+    static _byPath = new Map();
+    static _byShareId = new Map();
+    static _byFileId = new Map();
+    /**
+     * All entries of the registry.
+     * @type {Object[]}
+     */
+    static get entries() {
+        return Array.from(NextcloudLinkRegistry._load().values());
+    }
+    /**
+     * Discards the loaded entries, so that they are read again from the settings on the next lookup.
+     */
+    static reset() {
+        NextcloudLinkRegistry._entries = null;
+    }
+    /**
+     * Looks up the entry of a public link.
+     * @param {string} url - The public link.
+     * @returns {Object|undefined} The entry, with the URL, source, path, share ID, file ID and creation time of the link.
+     */
+    static get(url) {
+        return url ? NextcloudLinkRegistry._load().get(url) : undefined;
+    }
+    /**
+     * Looks up the public links of a file.
+     * @param {string} source - The Nextcloud source of the file.
+     * @param {string} path - The path of the file.
+     * @returns {Object[]} The entries of the links of the file.
+     */
+    static findByPath(source, path) {
+        return NextcloudLinkRegistry._find(NextcloudLinkRegistry._byPath, `${source}:${trimSlashes(path)}`);
+    }
+    /**
+     * Looks up the public links belonging to a share.
+     * @param {string} source - The Nextcloud source of the share.
+     * @param {string} shareId - The ID of the share.
+     * @returns {Object[]} The entries of the links of the share, several for a shared folder.
+     */
+    static findByShareId(source, shareId) {
+        return NextcloudLinkRegistry._find(NextcloudLinkRegistry._byShareId, `${source}:${shareId}`);
+    }
+    /**
+     * Looks up the public links of a file by its Nextcloud file ID, which does not change when the file is moved or renamed.
+     * @param {string} source - The Nextcloud source of the file.
+     * @param {string} fileId - The file ID.
+     * @returns {Object[]} The entries of the links of the file.
+     */
+    static findByFileId(source, fileId) {
+        return NextcloudLinkRegistry._find(NextcloudLinkRegistry._byFileId, `${source}:${fileId}`);
+    }
+    /**
+     * Records a public link.
+     * @param {Object} entry - The URL (url), Nextcloud source (source), path (path) and optionally the share ID (shareId) and file ID (fileId) of the link.
+     * @returns {Promise<void>} A promise that resolves once the link is recorded.
+     */
+    static register(entry) {
+        return NextcloudLinkRegistry._mutate('register', [entry]);
+    }
+    /**
+     * Updates the paths of the links after a file or directory has been moved or renamed.
+     * @param {string} source - The Nextcloud source of the file or directory.
+     * @param {string} oldPath - The previous path of the file or directory.
+     * @param {string} newPath - The new path of the file or directory.
+     * @returns {Promise<void>} A promise that resolves once the links are updated.
+     */
+    static relocate(source, oldPath, newPath) {
+        return NextcloudLinkRegistry._mutate('relocate', [source, oldPath, newPath]);
+    }
+    /**
+     * Removes the links of a deleted file or directory.
+     * @param {string} source - The Nextcloud source of the file or directory.
+     * @param {string} path - The path of the file or directory.
+     * @returns {Promise<void>} A promise that resolves once the links are removed.
+     */
+    static removePath(source, path) {
+        return NextcloudLinkRegistry._mutate('removePath', [source, path]);
+    }
+    /**
+     * Removes links from the registry.
+     * @param {string[]} urls - The links to remove.
+     * @returns {Promise<void>} A promise that resolves once the links are removed.
+     */
+    static removeUrls(urls) {
+        return NextcloudLinkRegistry._mutate('removeUrls', [urls]);
+    }
+    /**
+     * Records the share ID and file ID of the links belonging to shares listed by Nextcloud.
+     * @param {string} source - The Nextcloud source of the shares.
+     * @param {Object[]} shares - The public shares, as parsed by parseShares.
+     * @returns {Promise<void>} A promise that resolves once the links are updated.
+     */
+    static updateShares(source, shares) {
+        const details = shares.map(share => ({ id: share.id, url: share.url, path: share.path, fileId: share.fileId }));
+        return NextcloudLinkRegistry._mutate('updateShares', [source, details]);
+    }
+    /**
+     * Removes the links that no document of the world references anymore.  Links with a local copy are kept.
+     * @param {boolean} [includeCompendia=false] - Whether references from compendia keep links.
+     * @returns {Promise<number>} A promise that resolves to the number of removed links.
+     */
+    static async prune(includeCompendia = false) {
+        const referenced = new Set(Object.keys(getSetting('localizedFiles')));
+        for (const document of await collectDocuments(includeCompendia)) {
+            findReferences(documentData(document), isNextcloudReference).forEach(url => referenced.add(url));
+        }
+        const urls = NextcloudLinkRegistry.entries.map(entry => entry.url).filter(url => !referenced.has(url));
+        await NextcloudLinkRegistry._mutate('removeUrls', [urls]);
+        return urls.length;
+    }
+    /**
+     * Serializes the registry to JSON.
+     * @returns {string} The registry as JSON.
+     */
+    static export() {
+        return JSON.stringify({ version: NextcloudLinkRegistry.VERSION, entries: NextcloudLinkRegistry.entries }, null, 2);
+    }
+    /**
+     * Adds the links of an exported registry, replacing the entries of links already recorded.
+     * @param {string} json - The exported registry.
+     * @returns {Promise<number>} A promise that resolves to the number of imported links.
+     */
+    static async import(json) {
+        const data = JSON.parse(json);
+        if (!Array.isArray(data?.entries)) throw new Error("The file is not an exported link registry.");
+        const entries = data.entries.filter(entry => typeof entry?.url === 'string' && typeof entry.path === 'string');
+        await NextcloudLinkRegistry._mutate('import', [entries]);
+        return entries.length;
+    }
+    /**
+     * Moves the entries of the former Nextcloud file paths setting into the registry.
+     * @returns {Promise<void>} A promise that resolves once the entries are moved.
+     */
+    static async migrate() {
+        const nextcloudFilePaths = getSetting('nextcloudFilePaths');
+        const entries = Object.entries(nextcloudFilePaths).map(([url, value]) => ({ url, ...readFilePath(value) }));
+        if (!entries.length) return;
+        await NextcloudLinkRegistry._mutate('import', [entries]);
+        await setSetting('nextcloudFilePaths', {});
+        logMessage('info', `Moved ${entries.length} link(s) to the link registry`, 'Link Registry');
+    }
+    /**
+     * Records a link relayed by a player, once the link is confirmed to belong to a public share of its path.
+     * Other changes are never relayed: players relying on a GM cannot move or delete files.
+     * @param {string} action - The name of the change.
+     * @param {Array} args - The arguments of the change.
+     * @returns {Promise<void>} A promise that resolves once the link is recorded or rejected.
+     */
+    static async receive(action, args) {
+        if (action !== 'register' || !Array.isArray(args)) return;
+        try {
+            const entry = await NextcloudLinkRegistry._verify(args[0]);
+            if (entry) await NextcloudLinkRegistry._mutate('register', [entry]);
+        } catch (error) {
+            logMessage('error', 'Failed to record a link of a player', 'Link Registry', error);
+        }
+    }
+    /**
+     * Checks that a link relayed by a player belongs to a public share of its path, either a share of the file
+     * or a recorded share of a folder containing it.
+     * @param {Object} entry - The link sent by the player.
+     * @returns {Promise<Object|null>} A promise that resolves to the entry to record, with the ID of the share, or null if the link is not genuine.
+     * @private
+     */
+    static async _verify(entry) {
+        if (typeof entry?.url !== 'string' || typeof entry.path !== 'string' || !isNextcloudSource(entry.source)) return null;
+        const { source, url, path } = entry;
+        const sharePath = [getAccount(source).subdirectory, path].map(trimSlashes).filterJoin('/');
+        if (!isInsideSubdirectory(sharePath, source)) return null;
+        const fileId = /^\d+$/.test(String(entry.fileId)) ? String(entry.fileId) : null;
+        for (const [key, share] of Object.entries(getSetting('folderShares'))) {
+            const folder = key.substring(source.length + 1);
+            if (key.startsWith(`${source}:`) && (!folder || trimSlashes(path).startsWith(`${folder}/`)) && url.startsWith(`${share.url}/download/`)) {
+                return { url, path, source, fileId, shareId: share.id || null };
+            }
+        }
+        const endpoint = await NextcloudFilePicker.apiEndpoint(source, 'shares');
+        const response = await NextcloudFilePicker.makeNextcloudApiRequest(`${endpoint}?path=${encodeURIComponent(`/${sharePath}`)}&reshares=true`, 'GET', null, {}, { source });
+        const share = parseShares(response).find(share => share.shareType === 3 && url.startsWith(`${share.url}/download/`));
+        return share ? { url, path, source, fileId: share.fileId || fileId, shareId: share.id } : null;
+    }
+    /**
+     * Applies a change to the registry, or relays a new link to a connected GM if this user cannot change world settings.
+     * Changes are applied one after the other, so that no change saves a part of the registry without the changes before it.
+     * @param {string} action - The name of the change.
+     * @param {Array} args - The arguments of the change.
+     * @returns {Promise<void>} A promise that resolves once the change is saved or relayed.
+     * @private
+     */
+    static _mutate(action, args) {
+        if (game.user.can("SETTINGS_MODIFY")) {
+            const result = NextcloudLinkRegistry._pending.then(() => NextcloudLinkRegistry._apply(action, args));
+            NextcloudLinkRegistry._pending = result.catch(() => {});
+            return result;
+        }
+        if (action !== 'register') return Promise.resolve();
+        const gm = NextcloudSocket.activeGM;
+        if (!gm) {
+            logMessage('info', 'No GM online to record the public link', 'Link Registry');
+            return Promise.resolve();
+        }
+        game.socket.emit(NextcloudSocket.SOCKET_NAME, { type: 'registry', gmId: gm.id, action: action, args: args });
+        return Promise.resolve();
+    }
+    /**
+     * Applies a change to the loaded entries and saves the settings holding the changed entries.
+     * If saving fails, the loaded entries are discarded so that they are read again from the saved settings.
+     * @param {string} action - The name of the change.
+     * @param {Array} args - The arguments of the change.
+     * @returns {Promise<void>} A promise that resolves once the change is saved.
+     * @private
+     */
+    static async _apply(action, args) {
+        const changes = {
+            register: entry => NextcloudLinkRegistry._set(entry),
+            import: entries => entries.flatMap(entry => NextcloudLinkRegistry._set(entry)),
+            removeUrls: urls => urls.flatMap(url => NextcloudLinkRegistry._delete(url)),
+            removePath: (source, path) => NextcloudLinkRegistry._entriesBelow(source, path).flatMap(entry => NextcloudLinkRegistry._delete(entry.url)),
+            relocate: (source, oldPath, newPath) => {
+                const from = trimSlashes(oldPath);
+                const to = trimSlashes(newPath);
+                return NextcloudLinkRegistry._entriesBelow(source, oldPath).flatMap(entry => {
+                    const prefix = entry.path.startsWith('/') ? '/' : '';
+                    return NextcloudLinkRegistry._set({ ...entry, path: prefix + to + trimSlashes(entry.path).substring(from.length) });
+                });
+            },
+            updateShares: (source, shares) => shares.flatMap(share => NextcloudLinkRegistry.entries
+                .filter(entry => entry.source === source && (entry.url === share.url || entry.url.startsWith(`${share.url}/`)))
+                .flatMap(entry => {
+                    const isFileShare = trimSlashes(stripSubdirectory(share.path, source)) === trimSlashes(entry.path);
+                    const fileId = isFileShare ? share.fileId : entry.fileId;
+                    if (entry.shareId === share.id && entry.fileId === fileId) return [];
+                    return NextcloudLinkRegistry._set({ ...entry, shareId: share.id, fileId: fileId });
+                }))
+        };
+        NextcloudLinkRegistry._load();
+        const shards = new Set(changes[action](...args));
+        if (!shards.size) return;
+        const values = Array.from(shards, shard => [shard, {}]);
+        for (const entry of NextcloudLinkRegistry._entries.values()) {
+            const value = values.find(([shard]) => shard === NextcloudLinkRegistry._shard(entry.url))?.[1];
+            if (value) value[entry.url] = { path: entry.path, source: entry.source, shareId: entry.shareId, fileId: entry.fileId, created: entry.created };
+        }
+        try {
+            for (const [shard, value] of values) {
+                await setSetting(`linkRegistry${shard}`, value);
+            }
+        } catch (error) {
+            NextcloudLinkRegistry.reset();
+            throw error;
+        }
+    }
+    /**
+     * Adds or replaces an entry in the loaded entries.
+     * @param {Object} entry - The entry.
+     * @returns {number[]} The setting holding the entry.
+     * @private
+     */
+    static _set(entry) {
+        if (typeof entry?.url !== 'string' || typeof entry.path !== 'string') return [];
+        const existing = NextcloudLinkRegistry._entries.get(entry.url);
+        const samePath = existing && existing.source === (entry.source ?? 'nextcloud') && trimSlashes(existing.path) === trimSlashes(entry.path);
+        NextcloudLinkRegistry._delete(entry.url);
+        NextcloudLinkRegistry._index({
+            url: entry.url,
+            path: entry.path,
+            source: entry.source ?? 'nextcloud',
+            shareId: entry.shareId ?? (samePath ? existing.shareId : null),
+            fileId: entry.fileId ?? (samePath ? existing.fileId : null),
+            created: entry.created ?? existing?.created ?? Date.now()
+        });
+        return [NextcloudLinkRegistry._shard(entry.url)];
+    }
+    /**
+     * Removes an entry from the loaded entries.
+     * @param {string} url - The URL of the entry.
+     * @returns {number[]} The setting that held the entry, empty if there was no entry.
+     * @private
+     */
+    static _delete(url) {
+        const entry = NextcloudLinkRegistry._entries.get(url);
+        if (!entry) return [];
+        NextcloudLinkRegistry._entries.delete(url);
+        NextcloudLinkRegistry._byPath.get(`${entry.source}:${trimSlashes(entry.path)}`)?.delete(url);
+        if (entry.shareId) NextcloudLinkRegistry._byShareId.get(`${entry.source}:${entry.shareId}`)?.delete(url);
+        if (entry.fileId) NextcloudLinkRegistry._byFileId.get(`${entry.source}:${entry.fileId}`)?.delete(url);
+        return [NextcloudLinkRegistry._shard(url)];
+    }
+    /**
+     * Adds an entry to the loaded entries and their indexes.
+     * @param {Object} entry - The entry.
+     * @private
+     */
+    static _index(entry) {
+        const add = (index, key) => {
+            if (!index.has(key)) index.set(key, new Set());
+            index.get(key).add(entry.url);
+        };
+        NextcloudLinkRegistry._entries.set(entry.url, entry);
+        add(NextcloudLinkRegistry._byPath, `${entry.source}:${trimSlashes(entry.path)}`);
+        if (entry.shareId) add(NextcloudLinkRegistry._byShareId, `${entry.source}:${entry.shareId}`);
+        if (entry.fileId) add(NextcloudLinkRegistry._byFileId, `${entry.source}:${entry.fileId}`);
+    }
+    /**
+     * Reads the entries from the settings, unless they are loaded already.
+     * @returns {Map<string, Object>} The entries by URL.
+     * @private
+     */
+    static _load() {
+        if (NextcloudLinkRegistry._entries) return NextcloudLinkRegistry._entries;
+        NextcloudLinkRegistry._entries = new Map();
+        NextcloudLinkRegistry._byPath.clear();
+        NextcloudLinkRegistry._byShareId.clear();
+        NextcloudLinkRegistry._byFileId.clear();
+        for (let shard = 0; shard < NextcloudLinkRegistry.SHARDS; shard++) {
+            for (const [url, entry] of Object.entries(getSetting(`linkRegistry${shard}`))) {
+                NextcloudLinkRegistry._index({ url, ...entry });
+            }
+        }
+        return NextcloudLinkRegistry._entries;
+    }
+    /**
+     * Retrieves the entries of an index key.
+     * @param {Map<string, Set<string>>} index - The index.
+     * @param {string} key - The key.
+     * @returns {Object[]} The entries.
+     * @private
+     */
+    static _find(index, key) {
+        NextcloudLinkRegistry._load();
+        return Array.from(index.get(key) ?? [], url => NextcloudLinkRegistry._entries.get(url));
+    }
+    /**
+     * Retrieves the entries of the files in, or being, a file or directory.
+     * @param {string} source - The Nextcloud source of the file or directory.
+     * @param {string} path - The path of the file or directory.
+     * @returns {Object[]} The entries.
+     * @private
+     */
+    static _entriesBelow(source, path) {
+        const base = trimSlashes(path);
+        return NextcloudLinkRegistry.entries.filter(entry => {
+            const current = trimSlashes(entry.path);
+            return entry.source === source && (current === base || current.startsWith(`${base}/`));
+        });
+    }
+    /**
+     * Chooses the setting holding the entry of a URL.
+     * @param {string} url - The URL.
+     * @returns {number} The number of the setting.
+     * @private
+     */
+    static _shard(url) {
+        let hash = 0x811c9dc5;
+        for (let index = 0; index < url.length; index++) {
+            hash ^= url.charCodeAt(index);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) % NextcloudLinkRegistry.SHARDS;
+    }
+}
+/**
+ * A GM-only window showing the size of the link registry, removing unused links, refreshing share IDs, and exporting or importing the registry.
+ */
+class NextcloudLinkRegistryConfig extends FormApplication {
+    /**
+     * Defines the default options for the link registry window.
+     * @returns {Object} The default configuration options for the window.
+     */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "nextcloud-link-registry",
+            title: "Nextcloud Link Registry",
+            template: "modules/nextcloud-filepicker/templates/nextcloud-link-registry.html",
+            width: 480,
+            height: "auto"
+        });
+    }
+    /**
+     * Counts the links of each connection.
+     * @param {Object} [options={}] - Options for retrieving data.
+     * @returns {Object} The data needed for rendering the window.
+     */
+    getData(options = {}) {
+        const entries = NextcloudLinkRegistry.entries;
+        return {
+            total: entries.length,
+            connections: getConnections().map(connection => ({
+                label: connection.label,
+                count: entries.filter(entry => entry.source === connection.source).length
+            })),
+            running: !!this.running
+        };
+    }
+    /**
+     * Activates the event listeners of the link registry window.
+     * @param {jQuery} html - The rendered HTML of the window.
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="prune"]').click(this._onPrune.bind(this));
+        html.find('[data-action="refresh"]').click(this._onRefresh.bind(this));
+        html.find('[data-action="export"]').click(this._onExport.bind(this));
+        html.find('[data-action="import"]').click(this._onImport.bind(this));
+    }
+    /**
+     * Removes the links no document references after confirmation.
+     * @param {Event} ev - The click event.
+     * @private
+     */
+    async _onPrune(ev) {
+        ev.preventDefault();
+        const includeCompendia = this.element.find('[name="includeCompendia"]').is(':checked');
+        const proceed = await Dialog.confirm({
+            title: "Remove Unused Links",
+            content: `<p>Remove the links that no document of the world${includeCompendia ? " or its compendia" : ""} uses anymore from the registry?  The public links themselves are kept in Nextcloud.</p>`,
+            defaultYes: false
+        });
+        if (!proceed) return;
+        await this._run(async () => {
+            const removed = await NextcloudLinkRegistry.prune(includeCompendia);
+            ui.notifications.info(`Removed ${removed} unused link(s) from the registry.`);
+        });
+    }
+    /**
+     * Records the share ID and file ID of every link from the shares listed by each connection.
+     * @param {Event} ev - The click event.
+     * @private
      */
-    isNextcloudUrl(path) {
-        return path.includes(getSetting('url'));
+    async _onRefresh(ev) {
+        ev.preventDefault();
+        await this._run(async () => {
+            for (const { source, label } of getConnections()) {
+                try {
+                    const response = await NextcloudFilePicker.makeNextcloudApiRequest(await NextcloudFilePicker.apiEndpoint(source, 'shares'), 'GET', null, {}, { source });
+                    await NextcloudLinkRegistry.updateShares(source, parseShares(response).filter(share => share.shareType === 3));
+                } catch (error) {
+                    console.error('Error fetching public links:', error);
+                    ui.notifications.error(`Failed to list the public links of ${label}: ${describeNextcloudError(error)}`);
+                }
+            }
+        });
     }
     /**
-     * Extracts the filename from a full URL or path.
-     * @param {string} path - The full URL or path to the file.
-     * @returns {string} The extracted filename.
+     * Downloads the registry as a JSON file.
+     * @param {Event} ev - The click event.
+     * @private
      */
-    extractFileName(path) {
-        return decodeURIComponent(path.split('/').pop().split('?')[0]);
+    _onExport(ev) {
+        ev.preventDefault();
+        saveDataToFile(NextcloudLinkRegistry.export(), "application/json", `nextcloud-link-registry-${game.world.id}.json`);
     }
     /**
-     * Updates the image source in the DOM for a given file name with the provided Base64 image data.
-     * @param {string} fileName - The name of the file for which to update the image.
-     * @param {string} base64Image - The Base64 encoded image data.
+     * Adds the links of the chosen JSON file to the registry.
+     * @param {Event} ev - The click event.
+     * @private
      */
-    updateImageInDOM(fileName, base64Image) {
-        const fileElements = this.element.find(`.file[data-name="${fileName}"]`);
-        fileElements.each(function() {
-            const imgElement = $(this).find('img');
-            if (imgElement.length) {
-                imgElement.attr('src', base64Image);
-            }
+    async _onImport(ev) {
+        ev.preventDefault();
+        const file = this.element.find('[name="importFile"]')[0]?.files[0];
+        if (!file) return ui.notifications.warn("Choose an exported link registry to import.");
+        await this._run(async () => {
+            const count = await NextcloudLinkRegistry.import(await readTextFromFile(file));
+            ui.notifications.info(`Imported ${count} link(s) into the registry.`);
         });
     }
     /**
-     * Navigates back to the parent directory in the Nextcloud file picker UI.
+     * Runs an operation on the registry, reporting its errors.
+     * @param {Function} task - The operation.
+     * @returns {Promise<void>} A promise that resolves once the operation is complete.
+     * @private
      */
-    goBack() {
-        if (this.activeSource === "nextcloud") {
-            let parts = this.sources.nextcloud.target.split('/').filter(Boolean);
-            parts.pop();
-            let parentPath = parts.join('/') || '';
-            this.browse(parentPath);
+    async _run(task) {
+        if (this.running) return;
+        this.running = true;
+        this.render();
+        try {
+            await task();
+        } catch (error) {
+            console.error('Error updating the link registry:', error);
+            ui.notifications.error(`Failed to update the link registry: ${error.message}`);
+        } finally {
+            this.running = false;
+            this.render();
         }
     }
+    async _updateObject() {}
+}
+/**
+ * Relays the Nextcloud requests of players to a connected GM through the module socket, when the app password is only stored on GM clients.
+ * The GM performs the request with their credentials and sends the response back, allowing browsing, previews and public links only.
+ */
+class NextcloudSocket {
+    static SOCKET_NAME = 'module.nextcloud-filepicker';
+    static TIMEOUT = 30000;
+    static pending = new Map();
+    static RELAYED_HEADERS = ['Content-Type', 'Depth'];
+    static fileIds = new Map();
+    static shareIds = new Map();
     /**
-     * Converts Nextcloud XML data to a format compatible with FilePicker results.
-     * @param {Object} nextcloudData - The Nextcloud data to convert.
-     * @returns {Object} Formatted results with 'files' and 'dirs' arrays.
+     * Starts listening to the module socket.
      */
-    _convertToBrowseResults(nextcloudData) {
-        let dirs = [], files = [];
-        for (let dir of nextcloudData.directories) {       
-            if (dir.href !== nextcloudData.path) {
-                dirs.push({
-                    name: decodeURIComponent(dir.name),
-                    path: decodeURIComponent(dir.href),
-                    private: false
-                });
-            }
-        }
-        for (let file of nextcloudData.files) {
-            let thumbnail = file.thumbnail || (f => {
-                if (VideoHelper.hasVideoExtension(f)) return "icons/svg/video.svg";
-                else if (AudioHelper.hasAudioExtension(f)) return "icons/svg/sound.svg";
-                else if (!ImageHelper.hasImageExtension(f)) return "icons/svg/book.svg";
-            })(file.name);
-            files.push({
-                name: decodeURIComponent(file.name),
-                path: decodeURIComponent(file.href),
-                url: decodeURIComponent(file.href),
-                img: thumbnail,
+    static initialize() {
+        game.socket.on(NextcloudSocket.SOCKET_NAME, NextcloudSocket._onMessage);
+    }
+    /**
+     * The connected GM handling relayed requests.
+     * @type {User|undefined}
+     */
+    static get activeGM() {
+        return game.users.filter(user => user.isGM && user.active).sort((a, b) => a.id.localeCompare(b.id))[0];
+    }
+    /**
+     * Sends a Nextcloud request to the connected GM and waits for the response.
+     * @param {string} endpoint - The API endpoint relative to the Nextcloud base URL.
+     * @param {string} method - The HTTP method to use for the request.
+     * @param {Object|string|null} data - The data to send with the request.
+     * @param {Object} headers - Additional headers for the request.
+     * @param {Object} options - Additional options for the request, such as the response type and the Nextcloud source.
+     * @returns {Promise} A promise that resolves to the response from the API request.
+     */
+    static request(endpoint, method, data, headers, options) {
+        const gm = NextcloudSocket.activeGM;
+        if (!gm) return Promise.reject(new Error("No GM online: Nextcloud is only available while a GM is connected."));
+        const id = foundry.utils.randomID();
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                NextcloudSocket.pending.delete(id);
+                reject(new NextcloudTimeoutError("The GM did not respond to the Nextcloud request."));
+            }, NextcloudSocket.TIMEOUT);
+            NextcloudSocket.pending.set(id, { resolve, reject, timeout });
+            game.socket.emit(NextcloudSocket.SOCKET_NAME, {
+                type: 'request',
+                id: id,
+                userId: game.user.id,
+                gmId: gm.id,
+                endpoint: endpoint,
+                method: method,
+                data: data,
+                headers: headers,
+                responseType: options.responseType,
+                source: options.source ?? 'nextcloud'
             });
-        }
-        return { dirs, files };
+        });
     }
-    removeDavRootDir(dirHref) {
-                const removalString=`/remote.php/dav/files/${getSetting('userName')}/${getSetting('subdirectory')}/`
-        const newHref=dirHref.substring(removalString.length-1,dirHref.length);
-        return newHref;
+    /**
+     * Handles a message received through the module socket.
+     * @param {Object} message - The socket message.
+     * @private
+     */
+    static _onMessage(message) {
+        if (message.type === 'request' && message.gmId === game.user.id) {
+            NextcloudSocket._handleRequest(message);
+        } else if (message.type === 'response' && message.userId === game.user.id) {
+            NextcloudSocket._handleResponse(message);
+        } else if (message.type === 'registry' && message.gmId === game.user.id) {
+            NextcloudLinkRegistry.receive(message.action, message.args);
+        }
     }
     /**
-     * Parses the XML response from the Nextcloud WebDAV API to extract file and directory information.
-     * @param {string} xml - The XML response as a string.
-     * @returns {Object} An object containing arrays of files and directories extracted from the response.
-    */
-    _parseWebDavResponse(xml) {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xml, "application/xml");
-        const files = [];
-        const directories = [];
-        const responses = xmlDoc.querySelectorAll("d\\:response, response");
-        responses.forEach(response => {
-            const href = this.removeDavRootDir(response.querySelector("d\\:href, href").textContent.replace(/\/$/,''));
-            const resType = response.querySelector("d\\:resourcetype, resourcetype");
-            const isDirectory = resType.querySelector("d\\:collection, collection") !== null;
-            const name = decodeURIComponent(href.split("/").pop());
-            if (isDirectory) {
-                directories.push({ name, href });
+     * Performs a relayed request as the GM and sends the response back to the player.
+     * @param {Object} message - The request message.
+     * @private
+     */
+    static async _handleRequest(message) {
+        const response = { type: 'response', id: message.id, userId: message.userId };
+        try {
+            const source = message.source ?? 'nextcloud';
+            if (!NextcloudSocket._isAllowed(message.endpoint, message.method, message.data, source)) {
+                throw new Error(`The ${message.method} request to ${message.endpoint} cannot be relayed.`);
+            }
+            const data = message.method === 'POST' ? NextcloudSocket._shareData(message.data.path) : message.data;
+            const headers = Object.fromEntries(Object.entries(message.headers ?? {}).filter(([name, value]) => NextcloudSocket.RELAYED_HEADERS.includes(name)
+                && (name !== 'Depth' || ['0', '1'].includes(String(value)))));
+            const result = await NextcloudFilePicker.makeNextcloudApiRequest(message.endpoint, message.method, data, headers, { responseType: message.responseType, source });
+            NextcloudSocket._recordIds(message.method, result, source);
+            if (result instanceof Blob) {
+                response.blob = await convertBlobToBase64(result);
             } else {
-                files.push({ name, href });
+                response.result = result;
             }
-        });
-        return { files, directories };
+        } catch (error) {
+            response.error = error.message;
+            response.errorType = error instanceof NextcloudError ? error.type : 'unknown';
+            response.status = error.status ?? null;
+        }
+        game.socket.emit(NextcloudSocket.SOCKET_NAME, response);
     }
     /**
-     * Initializes and opens the FilePicker from a button click, handling any necessary setup.
-     * @param {HTMLElement} button - The button element that triggered the FilePicker.
-     * @returns {FilePicker} The instance of the FilePicker initialized from the button.
+     * Resolves the pending request a response belongs to.
+     * @param {Object} message - The response message.
+     * @private
      */
-    static fromButton(button) {
-        let type = button.getAttribute("data-type");
-        const form = button.form;
-        const field = form[button.dataset.target] || null;
-        let current = field?.value || "";
-        if (isNextcloudUrl(current)) {
-            current = this.extractFileName(current);
+    static async _handleResponse(message) {
+        const pending = NextcloudSocket.pending.get(message.id);
+        if (!pending) return;
+        NextcloudSocket.pending.delete(message.id);
+        clearTimeout(pending.timeout);
+        if (message.error) pending.reject(NextcloudError.fromType(message.errorType, message.error, message.status));
+        else if (message.blob) pending.resolve(await (await fetch(message.blob)).blob());
+        else pending.resolve(message.result);
+    }
+    /**
+     * Checks whether a request may be relayed on behalf of a player: listing and searching the configured subdirectory,
+     * fetching previews of files listed that way, and looking up or creating public links of paths inside the subdirectory,
+     * through either API mode.  The body of share requests is replaced by the share policy of the GM.
+     * @param {string} endpoint - The API endpoint relative to the Nextcloud base URL.
+     * @param {string} method - The HTTP method of the request.
+     * @param {Object|string|null} data - The data sent with the request.
+     * @param {string} source - The Nextcloud source of the request.
+     * @returns {boolean} True if the request may be relayed.
+     * @private
+     */
+    static _isAllowed(endpoint, method, data, source) {
+        if (!isNextcloudSource(source)) return false;
+        const path = String(endpoint).replace(/^\/+/, '');
+        if (decodeURIComponent(path).split(/[/?]/).includes('..')) return false;
+        const filesRoot = trimSlashes(davEndpoint('', source));
+        const endpoints = Object.values(NextcloudFilePicker.API_ENDPOINTS);
+        const [route, query = ''] = path.split('?');
+        const params = new URLSearchParams(query);
+        switch (method) {
+            case 'PROPFIND':
+                return path === filesRoot || path.startsWith(`${filesRoot}/`);
+            case 'SEARCH':
+                return path === 'remote.php/dav/' && NextcloudSocket._isSearchInSubdirectory(data, source);
+            case 'GET':
+                if (path === `${NextcloudFilePicker.API_ENDPOINTS.webapppassword.shares}?shared_with_me=true`) return true;
+                if (endpoints.some(({ shares }) => route === shares)) return params.has('path') && isInsideSubdirectory(params.get('path'), source);
+                return endpoints.some(({ preview }) => route === preview) && !!NextcloudSocket.fileIds.get(source)?.has(params.get('fileId'));
+            case 'POST':
+                return endpoints.some(({ shares }) => path === shares) && typeof data?.path === 'string' && isInsideSubdirectory(data.path, source);
+            case 'PUT':
+                return endpoints.some(({ shares }) => route.startsWith(`${shares}/`) && NextcloudSocket.shareIds.get(source)?.has(route.substring(shares.length + 1)))
+                    && !query && Object.keys(data ?? {}).join() === 'hideDownload';
+            default:
+                return false;
         }
-        return new FilePicker({ field, type, current, button });
     }
     /**
-     * Renders the FilePicker interface, updating the UI based on the current state and source.
-     * @param {boolean} [force=false] - Whether to force the rendering of the FilePicker.
-     * @param {Object} [options={}] - Options for rendering the FilePicker.
+     * Checks that a relayed search only looks inside the configured subdirectory.
+     * @param {string} body - The XML body of the search.
+     * @param {string} source - The Nextcloud source of the search.
+     * @returns {boolean} True if the only scope of the search is the subdirectory.
+     * @private
      */
-    async render(force = false, options = {}) {
-        super.render(force, options);
-        setTimeout(() => {
-            if (this.activeSource === "nextcloud") {
-                this.updatePublicLinkIcons();                
-            }
-        }, 0);
+    static _isSearchInSubdirectory(body, source) {
+        if (typeof body !== 'string') return false;
+        const xmlDoc = new DOMParser().parseFromString(body, "application/xml");
+        if (xmlDoc.querySelector("parsererror")) return false;
+        const scopes = xmlDoc.getElementsByTagNameNS("DAV:", "scope");
+        const hrefs = xmlDoc.getElementsByTagNameNS("DAV:", "href");
+        const { userName, subdirectory } = getAccount(source);
+        const scope = [`/files/${userName}`, trimSlashes(subdirectory)].filterJoin('/');
+        return scopes.length === 1 && hrefs.length === 1 && hrefs[0].textContent.trim() === scope;
+    }
+    /**
+     * Builds the body of a relayed share request from the share policy, ignoring everything but the path sent by the player.
+     * @param {string} path - The path to share.
+     * @returns {Object} The body of the share request.
+     * @private
+     */
+    static _shareData(path) {
+        const policy = getSharePolicy();
+        const body = { path: path, shareType: 3, permissions: policy.permissions };
+        if (policy.expireDate) body.expireDate = policy.expireDate;
+        if (policy.label) body.label = policy.label;
+        if (policy.note) body.note = policy.note;
+        if (policy.password) body.password = policy.password;
+        return body;
+    }
+    /**
+     * Remembers the file IDs listed and the shares created for players, the only ones they may request previews of or change.
+     * @param {string} method - The HTTP method of the relayed request.
+     * @param {*} result - The response of the relayed request.
+     * @param {string} source - The Nextcloud source of the request.
+     * @private
+     */
+    static _recordIds(method, result, source) {
+        if (typeof result !== 'string') return;
+        const record = (ids, pattern) => {
+            if (!ids.has(source)) ids.set(source, new Set());
+            for (const match of result.matchAll(pattern)) ids.get(source).add(match[1]);
+        };
+        if (method === 'PROPFIND' || method === 'SEARCH') record(NextcloudSocket.fileIds, /<oc:fileid>(\d+)<\/oc:fileid>/g);
+        else if (method === 'POST') record(NextcloudSocket.shareIds, /<data>\s*<id>(\d+)<\/id>/g);
     }
 }
 /**
@@ -866,6 +5327,97 @@ function getSetting(setting) {
 function setSetting(setting, value) {
     return game.settings.set('nextcloud-filepicker', setting, value);
 }
+/**
+ * Retrieves the Nextcloud app password of this client.
+ * When the app password is kept on GM clients, it is read from the settings of this browser instead of the world.
+ * @returns {string} The app password, empty if this client does not hold one.
+ */
+function getAppPassword() {
+    return getSetting('secureMode') ? getSetting('secureAppPassword') : getSetting('appPassword');
+}
+/**
+ * Stores the Nextcloud app password, in this browser when the app password is kept on GM clients, otherwise in the world settings.
+ * @param {string} appPassword - The app password to store.
+ * @returns {Promise} A promise that resolves once the setting has been saved.
+ */
+function setAppPassword(appPassword) {
+    return setSetting(getSetting('secureMode') ? 'secureAppPassword' : 'appPassword', appPassword);
+}
+/**
+ * Checks whether this client has to relay its Nextcloud requests to a GM, because it does not hold the app password.
+ * @param {string} [source="nextcloud"] - The Nextcloud source of the requests.
+ * @returns {boolean} True for player clients without a personal account while the app passwords are kept on GM clients.
+ */
+function isRelayedClient(source = "nextcloud") {
+    return getSetting('secureMode') && !game.user.isGM && !getAccount(source).personal;
+}
+/**
+ * Retrieves the Nextcloud account used by this client for a source.
+ * The main connection uses the personal account of the user if one is configured, otherwise the world account.
+ * @param {string} [source="nextcloud"] - The Nextcloud source.
+ * @returns {{url: string, apiUrl: string, userName: string, appPassword: string, subdirectory: string, personal: boolean}} The server URL, the URL requests are sent to (the same-origin proxy if configured), the user name, app password and subdirectory of the account, and whether it is a personal account.
+ */
+function getAccount(source = "nextcloud") {
+    const connection = getConnection(source);
+    if (connection?.id) {
+        const appPassword = getSetting('secureMode') ? (getSetting('secureConnectionPasswords')[connection.id] ?? '') : connection.appPassword;
+        return { url: connection.url, apiUrl: connection.proxyUrl || connection.url, userName: connection.userName, appPassword, subdirectory: connection.subdirectory, personal: false };
+    }
+    const url = getSetting('url');
+    const apiUrl = getSetting('proxyUrl').replace(/\/+$/, '') || url;
+    const userName = getSetting('personalUserName');
+    const appPassword = getSetting('personalAppPassword');
+    if (userName && appPassword) {
+        return { url, apiUrl, userName, appPassword, subdirectory: getSetting('personalSubdirectory'), personal: true };
+    }
+    return { url, apiUrl, userName: getSetting('userName'), appPassword: getAppPassword(), subdirectory: getSetting('subdirectory'), personal: false };
+}
+/**
+ * Retrieves the Nextcloud connections of the world, each shown as a separate source of the file picker.
+ * The first connection is the main connection configured in the module settings.
+ * @returns {Object[]} The connections, with their ID, file picker source, label, icon, server URL, user name, app password and subdirectory.
+ */
+function getConnections() {
+    const main = { id: '', source: 'nextcloud', label: 'Nextcloud Data', icon: 'fas fa-cloud', url: getSetting('url') };
+    const additional = getSetting('connections').map(connection => ({
+        ...connection,
+        source: `nextcloud-${connection.id}`,
+        label: connection.label || 'Nextcloud',
+        icon: connection.icon || 'fas fa-cloud'
+    }));
+    return [main, ...additional];
+}
+/**
+ * Retrieves the Nextcloud connection of a file picker source.
+ * @param {string} source - The file picker source.
+ * @returns {Object|undefined} The connection, undefined if the source does not belong to a Nextcloud connection.
+ */
+function getConnection(source) {
+    return getConnections().find(connection => connection.source === source);
+}
+/**
+ * Checks whether a file picker source belongs to a Nextcloud connection.
+ * @param {string} source - The file picker source.
+ * @returns {boolean} True if the source is a Nextcloud source.
+ */
+function isNextcloudSource(source) {
+    return !!getConnection(source);
+}
+/**
+ * Finds the Nextcloud connection a URL belongs to, using the source recorded in the link registry,
+ * otherwise the connection with the longest matching server URL.
+ * @param {string} url - The URL of a file.
+ * @returns {Object|undefined} The connection, undefined if the URL does not belong to a Nextcloud connection.
+ */
+function getConnectionForUrl(url) {
+    if (!url) return undefined;
+    const link = NextcloudLinkRegistry.get(url);
+    const recorded = link && getConnection(link.source);
+    if (recorded) return recorded;
+    return getConnections()
+        .filter(connection => connection.url && url.startsWith(connection.url))
+        .sort((a, b) => b.url.length - a.url.length)[0];
+}
 /**
  * Initializes the module, sets up Nextcloud integration settings, and configures the NextcloudFilePicker.
  */
@@ -877,14 +5429,229 @@ function initializeModule() {
     }
 }
 /**
- * Handles the selection of a file, updating the Nextcloud file paths setting accordingly.
- * @param {string} filePath - The selected file path.
- * @param {string} nextcloudUrl - The Nextcloud URL associated with the file.
+ * Reads an entry of the former Nextcloud file paths setting.  Entries recorded before multiple connections were supported
+ * only contain the path and belong to the main connection.
+ * @param {Object|string|undefined} value - The entry of the setting.
+ * @returns {{path: string, source: string}|null} The path and Nextcloud source of the file, null if there is no entry.
+ */
+function readFilePath(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return { path: value, source: 'nextcloud' };
+    return { path: value.path ?? '', source: value.source ?? 'nextcloud' };
+}
+/**
+ * Retrieves the policy applied to newly created public links from the module settings.
+ * @returns {Object} The permissions, expiration date (YYYY-MM-DD), label, note, password and hide download flag of new public links.
+ */
+function getSharePolicy() {
+    let expireDate = getSetting('shareExpirationDate').trim();
+    const expirationDays = getSetting('shareExpirationDays');
+    if (!expireDate && expirationDays > 0) {
+        const date = new Date();
+        date.setDate(date.getDate() + expirationDays);
+        expireDate = date.toISOString().substring(0, 10);
+    }
+    return {
+        permissions: 1,
+        expireDate: expireDate,
+        label: getSetting('shareLabel'),
+        note: getSetting('shareNote'),
+        password: getSetting('sharePassword'),
+        hideDownload: getSetting('shareHideDownload')
+    };
+}
+/**
+ * Checks whether a path of the Nextcloud account lies inside the subdirectory of a connection.
+ * @param {string} path - The path, including the subdirectory.
+ * @param {string} [source="nextcloud"] - The Nextcloud source.
+ * @returns {boolean} True if the path is the subdirectory or inside it, never the root of the account.
+ */
+function isInsideSubdirectory(path, source = "nextcloud") {
+    const parts = trimSlashes(String(path)).split('/').filter(Boolean);
+    if (parts.includes('..') || parts.includes('.')) return false;
+    const normalized = parts.join('/');
+    const subdirectory = trimSlashes(getAccount(source).subdirectory ?? '').split('/').filter(Boolean).join('/');
+    if (!subdirectory) return normalized !== '';
+    return normalized === subdirectory || normalized.startsWith(`${subdirectory}/`);
+}
+/**
+ * Retrieves the folders shared as a whole in folder sharing mode, relative to the subdirectory.
+ * @returns {string[]} The shared folders, or a single empty path if the whole subdirectory is shared.
+ */
+function getFolderShareFolders() {
+    const folders = getSetting('folderShareFolders').split(',').map(folder => trimSlashes(folder.trim())).filter(Boolean);
+    return folders.length ? folders : [''];
+}
+/**
+ * Removes the link registry entries and folder shares belonging to revoked public links.
+ * @param {string[]} shareUrls - The URLs of the revoked public links.
+ * @returns {Promise<void>} A promise that resolves once the entries and folder shares have been removed.
+ */
+async function removeSharedFilePaths(shareUrls) {
+    if (!shareUrls.length || !game.user.can("SETTINGS_MODIFY")) return;
+    const urls = NextcloudLinkRegistry.entries.map(entry => entry.url).filter(url => shareUrls.some(shareUrl => url === shareUrl || url.startsWith(`${shareUrl}/`)));
+    await NextcloudLinkRegistry.removeUrls(urls);
+    const folderShares = getSetting("folderShares");
+    const revoked = Object.keys(folderShares).filter(key => shareUrls.includes(folderShares[key].url));
+    revoked.forEach(key => delete folderShares[key]);
+    if (revoked.length) await setSetting("folderShares", folderShares);
+}
+/**
+ * Parses the XML response of the Nextcloud shares API into a list of shares.
+ * @param {string} xml - The XML response as a string.
+ * @returns {Object[]} The shares, with their ID, type, path, URL, token, file ID, MIME type, creation and expiration dates.
+ */
+function parseShares(xml) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(xml, "application/xml");
+    const text = (element, selector) => element.querySelector(selector)?.textContent || '';
+    return Array.from(xmlDoc.querySelectorAll("data > element")).map(element => ({
+        id: text(element, "id"),
+        shareType: Number(text(element, "share_type")),
+        path: text(element, "path"),
+        url: text(element, "url"),
+        token: text(element, "token"),
+        fileId: text(element, "item_source"),
+        mimetype: text(element, "mimetype"),
+        created: text(element, "stime") ? new Date(Number(text(element, "stime")) * 1000) : null,
+        expiration: text(element, "expiration").substring(0, 10)
+    }));
+}
+/**
+ * Serializes the documents of the world and its compendia into a single string, so that references to URLs can be looked up.
+ * @returns {Promise<string>} A promise that resolves to the serialized documents.
+ */
+async function collectWorldData() {
+    const documents = await collectDocuments(true);
+    return documents.map(document => JSON.stringify(documentData(document))).join('\n');
+}
+/**
+ * Collects the documents of the world, and optionally of its compendia, including their embedded documents
+ * such as the tokens and tiles of scenes or the sounds of playlists.
+ * @param {boolean} [includeCompendia=false] - Whether to include the documents of the compendia.
+ * @returns {Promise<foundry.abstract.Document[]>} A promise that resolves to the documents.
+ */
+async function collectDocuments(includeCompendia = false) {
+    const documents = [];
+    const add = document => documents.push(...collectEmbeddedDocuments(document));
+    for (const collection of game.collections) {
+        if (collection.documentName === 'Setting') continue;
+        collection.forEach(add);
+    }
+    if (includeCompendia) {
+        for (const pack of game.packs) {
+            if (pack.documentName === 'Adventure') continue;
+            (await pack.getDocuments()).forEach(add);
+        }
+    }
+    return documents;
+}
+/**
+ * Collects a document and all of its embedded documents, such as the tokens and tiles of a scene.
+ * @param {foundry.abstract.Document} document - The document.
+ * @returns {foundry.abstract.Document[]} The document followed by its embedded documents.
+ */
+function collectEmbeddedDocuments(document) {
+    const documents = [document];
+    for (const key of Object.values(document.constructor.metadata.embedded ?? {})) {
+        const embedded = document[key];
+        if (embedded instanceof foundry.abstract.Document) documents.push(...collectEmbeddedDocuments(embedded));
+        else if (embedded) Array.from(embedded).forEach(child => documents.push(...collectEmbeddedDocuments(child)));
+    }
+    return documents;
+}
+/**
+ * Retrieves the data of a document without its embedded documents, which are collected separately.
+ * @param {foundry.abstract.Document} document - The document.
+ * @returns {Object} The data of the document.
+ */
+function documentData(document) {
+    const data = document.toObject();
+    for (const key of Object.values(document.constructor.metadata.embedded ?? {})) delete data[key];
+    return data;
+}
+/**
+ * Finds the file references in the data of a document, including those embedded in HTML such as journal pages.
+ * @param {*} data - The data of the document.
+ * @param {Function} predicate - Tells whether a URL or path is a reference to look for.
+ * @returns {string[]} The distinct references found.
+ */
+function findReferences(data, predicate) {
+    const references = new Set();
+    const visit = value => {
+        if (typeof value === 'string') {
+            const candidates = value.includes('<') || /\s/.test(value.trim())
+                ? Array.from(value.matchAll(/(?:src|href)=["']([^"']+)["']|(https?:\/\/[^\s"'<>]+)/g), match => match[1] ?? match[2])
+                : [value.trim()];
+            candidates.map(candidate => candidate.replace(/&amp;/g, '&')).filter(predicate).forEach(candidate => references.add(candidate));
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit(data);
+    return Array.from(references);
+}
+/**
+ * Tells whether a reference is a link to a file of one of the Nextcloud connections.
+ * @param {string} url - The reference.
+ * @returns {boolean} True if the reference is a Nextcloud link.
+ */
+function isNextcloudReference(url) {
+    return /^https?:\/\//.test(url) && !!getConnectionForUrl(url);
+}
+/**
+ * Replaces file references in the data of a document, and updates the document if anything changed.
+ * Only whole references are replaced, the same ones findReferences finds: the whole value of a field, or a src or href attribute
+ * or a URL inside HTML, so that a path is never replaced inside a longer path.
+ * @param {foundry.abstract.Document} document - The document to update.
+ * @param {Map<string, string>} replacements - The new reference of each replaced reference.
+ * @returns {Promise<{changes: Object, undo: Object}|null>} A promise that resolves to the update applied and the update restoring the previous references if the document was updated, null otherwise.
+ */
+async function rewriteReferences(document, replacements) {
+    const data = documentData(document);
+    const lookup = reference => {
+        const decoded = reference.replace(/&amp;/g, '&');
+        if (!replacements.has(decoded)) return reference;
+        const replacement = replacements.get(decoded);
+        return decoded === reference ? replacement : replacement.replace(/&/g, '&amp;');
+    };
+    const replace = value => {
+        if (typeof value === 'string') {
+            if (value.includes('<') || /\s/.test(value.trim())) {
+                return value.replace(/((?:src|href)=["'])([^"']+)(["'])|(https?:\/\/[^\s"'<>]+)/g,
+                    (match, prefix, reference, suffix, url) => url ? lookup(url) : prefix + lookup(reference) + suffix);
+            }
+            const reference = value.trim();
+            return reference ? value.replace(reference, () => lookup(reference)) : value;
+        }
+        if (Array.isArray(value)) return value.map(replace);
+        if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, replace(entry)]));
+        return value;
+    };
+    const replaced = replace(data);
+    const changes = diffObject(data, replaced);
+    if (isEmpty(changes)) return null;
+    await document.update(changes);
+    return { changes, undo: diffObject(replaced, data) };
+}
+/**
+ * Describes a document for the user, naming the documents and compendium containing it.
+ * @param {foundry.abstract.Document} document - The document.
+ * @returns {string} The description of the document, such as Token "Goblin" in Scene "Cave".
  */
-function handleFileSelection(filePath, nextcloudUrl) {
-    let nextcloudFilePaths = getSetting("nextcloudFilePaths");
-    nextcloudFilePaths[nextcloudUrl] = filePath;
-    setSetting("nextcloudFilePaths", nextcloudFilePaths);
+function describeDocument(document) {
+    let label = `${document.documentName} "${document.name ?? document.id}"`;
+    if (document.parent) label += ` in ${describeDocument(document.parent)}`;
+    else if (document.compendium) label += ` (${document.compendium.title})`;
+    return label;
+}
+/**
+ * Describes an error of a Nextcloud request for the user.
+ * @param {Error} error - The error.
+ * @returns {string} The description of a NextcloudError, otherwise the error message.
+ */
+function describeNextcloudError(error) {
+    return error instanceof NextcloudError ? error.description : error.message;
 }
 /**
  * Logs a message for the module with a specified level of importance.
@@ -915,12 +5682,16 @@ function logMessage(level, message, context = 'General', error = null) {
  * The function creates an Image from the blob, then draws it onto a canvas with the new size, and finally converts the canvas back to a blob.
  * @param {Blob} blob - The image blob to be resized.
  * @param {number} maxSize - The maximum width or height of the image. The image will be scaled to maintain aspect ratio.
+ * @param {string} [type='image/png'] - The image format of the resized image, such as 'image/webp'.
+ * @param {number} [quality] - The quality of lossy formats, between 0 and 1.
  * @returns {Promise<Blob>} A promise that resolves with the resized image as a Blob object.
  */
-async function resizeImage(blob, maxSize) {
+async function resizeImage(blob, maxSize, type = 'image/png', quality = undefined) {
     return new Promise((resolve, reject) => {
         const img = new Image();
+        const objectUrl = URL.createObjectURL(blob);
         img.onload = () => {
+            URL.revokeObjectURL(objectUrl);
             let width = img.width;
             let height = img.height;
             const aspectRatio = width / height;
@@ -936,10 +5707,13 @@ async function resizeImage(blob, maxSize) {
             canvas.height = height;
             const ctx = canvas.getContext('2d');
             ctx.drawImage(img, 0, 0, width, height);
-            canvas.toBlob(resolve, 'image/png');
+            canvas.toBlob(resolve, type, quality);
+        };
+        img.onerror = error => {
+            URL.revokeObjectURL(objectUrl);
+            reject(error);
         };
-        img.onerror = reject;
-        img.src = URL.createObjectURL(blob);
+        img.src = objectUrl;
     });
 }
 /**
@@ -956,21 +5730,174 @@ function convertBlobToBase64(blob) {
     });
 }
 /**
- * Constructs a full WebDAV URL for a given relative path using the Nextcloud base URL from settings.
+ * Formats a byte count as a human readable file size.
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size, such as "1.4 MB".
+ */
+function formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = Number(bytes) || 0;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit ? size.toFixed(1) : size} ${units[unit]}`;
+}
+/**
+ * Constructs a full WebDAV URL for a given relative path using the Nextcloud base URL of a source.
  * @param {string} relativePath - The relative path to append to the Nextcloud base URL.
+ * @param {string} [source="nextcloud"] - The Nextcloud source.
  * @returns {string} The full WebDAV URL.
  */
-function constructWebDavUrl(relativePath) {
-    const baseUrl = game.settings.get('nextcloud-filepicker', 'url');
+function constructWebDavUrl(relativePath, source = "nextcloud") {
+    const baseUrl = getAccount(source).url;
     return `${baseUrl}/${relativePath}`;
 }
+/**
+ * Builds the WebDAV endpoint for a path relative to the configured Nextcloud subdirectory.
+ * Each path segment is URI encoded so that names containing reserved characters are addressed correctly.
+ * @param {string} path - The path relative to the configured subdirectory.
+ * @param {string} [source="nextcloud"] - The Nextcloud source.
+ * @returns {string} The WebDAV endpoint relative to the Nextcloud base URL.
+ */
+function davEndpoint(path, source = "nextcloud") {
+    const encodedPath = String(path).split('/').map(encodeURIComponent).join('/');
+    const { userName, subdirectory } = getAccount(source);
+    return `remote.php/dav/files/${userName}/${subdirectory}/${encodedPath}`;
+}
+/**
+ * Removes leading and trailing slashes from a path so that paths can be compared regardless of their format.
+ * @param {string} path - The path to normalize.
+ * @returns {string} The path without leading or trailing slashes.
+ */
+function trimSlashes(path) {
+    return String(path).replace(/^\/+|\/+$/g, '');
+}
+/**
+ * Converts a path of the Nextcloud account into a path relative to the configured subdirectory.
+ * @param {string} path - The path within the Nextcloud account.
+ * @param {string} [source="nextcloud"] - The Nextcloud source.
+ * @returns {string} The path relative to the configured subdirectory, with a leading slash.
+ */
+function stripSubdirectory(path, source = "nextcloud") {
+    const subdirectory = trimSlashes(getAccount(source).subdirectory);
+    let relativePath = trimSlashes(path);
+    if (subdirectory && (relativePath === subdirectory || relativePath.startsWith(`${subdirectory}/`))) {
+        relativePath = relativePath.substring(subdirectory.length);
+    }
+    return `/${trimSlashes(relativePath)}`;
+}
+/**
+ * Handles Nextcloud files dropped onto the canvas, replacing the default handling of the drop.
+ * @param {Canvas} canvas - The canvas.
+ * @param {Object} data - The drop data, including the canvas coordinates of the drop.
+ * @returns {boolean|void} False for Nextcloud files, so that Foundry VTT does not handle the drop itself.
+ */
+function onDropCanvasData(canvas, data) {
+    if (data.type !== "NextcloudFile") return;
+    createCanvasDocument(canvas, data).catch(error => {
+        console.error('Error dropping Nextcloud file:', error);
+        ui.notifications.error(`Failed to place the Nextcloud file on the canvas: ${error.message}`);
+    });
+    return false;
+}
+/**
+ * Creates a placeable for a Nextcloud file dropped onto the canvas, using the public link of the file.
+ * Audio files become ambient sounds, other files become tokens while the token layer is active and tiles otherwise.
+ * @param {Canvas} canvas - The canvas.
+ * @param {Object} data - The drop data, with the Nextcloud source (source), path (path) and file picker (appId) of the file.
+ * @returns {Promise<void>} A promise that resolves once the placeable has been created.
+ */
+async function createCanvasDocument(canvas, data) {
+    const picker = ui.windows[data.appId];
+    if (!(picker instanceof NextcloudFilePicker) || picker.activeSource !== data.source) {
+        return ui.notifications.warn("Keep the Nextcloud file picker open on the same source while dropping its files onto the canvas.");
+    }
+    const isAudio = AudioHelper.hasAudioExtension(data.path);
+    const documentName = isAudio ? "AmbientSound" : (canvas.activeLayer === canvas.tokens ? "Token" : "Tile");
+    if (!getDocumentClass(documentName).canUserCreate(game.user)) {
+        return ui.notifications.warn(`You are not allowed to create a ${documentName} in this scene.`);
+    }
+    const url = await picker.resolvePublicLink(data.path);
+    if (!url) return;
+    const gridSize = canvas.dimensions.size;
+    let documentData;
+    if (documentName === "AmbientSound") {
+        documentData = { path: url, x: data.x, y: data.y, radius: canvas.dimensions.distance * 4, easing: true };
+    } else if (documentName === "Token") {
+        const [x, y] = canvas.grid.getTopLeft(data.x, data.y);
+        documentData = { name: picker.extractFileName(data.path).replace(/\.[^.]+$/, ''), texture: { src: url }, x, y, width: 1, height: 1 };
+    } else {
+        const texture = await loadTexture(url).catch(() => null);
+        const ratio = gridSize / (data.tileSize || gridSize);
+        const width = (texture?.baseTexture?.width ?? gridSize) * ratio;
+        const height = (texture?.baseTexture?.height ?? gridSize) * ratio;
+        const position = canvas.grid.getSnappedPosition(data.x - width / 2, data.y - height / 2);
+        documentData = { texture: { src: url }, width, height, x: position.x, y: position.y };
+    }
+    await canvas.scene.createEmbeddedDocuments(documentName, [documentData]);
+}
+/**
+ * Shows in the module settings which endpoints the main connection uses to create public links and fetch previews.
+ * @param {SettingsConfig} app - The rendered settings window.
+ * @param {jQuery} html - The rendered HTML of the window.
+ */
+async function renderApiMode(app, html) {
+    const field = html.find('[name="nextcloud-filepicker.apiMode"]').closest('.form-group');
+    if (!field.length || !getSetting('url')) return;
+    const status = $('<p class="notes nextcloud-api-mode"><i class="fas fa-spinner fa-spin"></i> Detecting...</p>');
+    field.append(status);
+    const labels = { webapppassword: 'WebAppPassword app', stock: 'Standard Nextcloud endpoints' };
+    try {
+        const mode = await NextcloudFilePicker.getApiMode();
+        const proxyUrl = getSetting('proxyUrl');
+        status.html(`<i class="fas fa-circle-info"></i> In use: <strong>${labels[mode]}</strong>${proxyUrl ? ` through the proxy ${proxyUrl}` : ''}.`);
+    } catch (error) {
+        status.html(`<i class="fas fa-triangle-exclamation"></i> Could not be detected: ${describeNextcloudError(error)}`);
+    }
+}
+/**
+ * Adds commands localizing the Nextcloud files of a scene, or restoring its Nextcloud links, to the context menu of the scene directory.
+ * @param {jQuery} html - The rendered scene directory.
+ * @param {Object[]} options - The context menu entries.
+ */
+function addSceneLocalizationOptions(html, options) {
+    const scene = li => game.scenes.get(li.data("documentId"));
+    const run = command => command.catch(error => {
+        logMessage('error', 'Failed to update the offline copies', 'Offline Copies', error);
+        ui.notifications.error(`Failed to update the offline copies: ${describeNextcloudError(error)}`);
+    });
+    options.push({
+        name: "Localize Nextcloud Files",
+        icon: '<i class="fas fa-plane-slash"></i>',
+        condition: () => game.user.isGM,
+        callback: li => run(NextcloudLocalization.localize(collectEmbeddedDocuments(scene(li))))
+    }, {
+        name: "Restore Nextcloud Links",
+        icon: '<i class="fas fa-cloud"></i>',
+        condition: () => game.user.isGM,
+        callback: li => run(NextcloudLocalization.restore(collectEmbeddedDocuments(scene(li))))
+    });
+}
 /**
  * Initialization code to set up the module. Registers the Nextcloud settings and integrates the NextcloudFilePicker.
  */
 Hooks.once("init", () => {
-    if(!game.data.files.storages.includes("nextcloud")) {
-        game.data.files.storages.push("nextcloud");
-    }
     registerSettings();
+    for (const { source } of getConnections()) {
+        if(!game.data.files.storages.includes(source)) {
+            game.data.files.storages.push(source);
+        }
+    }
     FilePicker = NextcloudFilePicker;
 });
+Hooks.on("renderSettingsConfig", renderApiMode);
+Hooks.on("dropCanvasData", onDropCanvasData);
+Hooks.on("getSceneDirectoryEntryContext", addSceneLocalizationOptions);
+Hooks.once("ready", () => {
+    NextcloudSocket.initialize();
+    if (game.user.isGM) {
+        NextcloudLinkRegistry.migrate().catch(error => logMessage('error', 'Failed to move the links to the link registry', 'Link Registry', error));
+    }
+});